@@ -0,0 +1,1426 @@
+import express from 'express';
+import cors from 'cors';
+import bodyParser from 'body-parser';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import {
+  runInTransaction, saveWeekGames, listWeekGames, getWeekResults,
+  getUserPicksByWeek, getAllPicksByWeek, getAllPicksBySeason, saveUserWeekPicks, upsertWeekFetch,
+  getPickRevision, bumpPickRevision, getPickDraft, savePickDraft, deletePickDraft,
+  getSurvivorPicks, saveSurvivorPick, deleteSurvivorPick,
+  listSeasonGames, listSeasons, getSeasonResults, getLeagueRules, saveLeagueRules,
+  saveTiebreaker, getTiebreaker, getWeekTiebreakers, getSeasonTiebreakers, listWeekFetches,
+  getGame, setGameOverride, getGameOverride, appendAudit, listAudit,
+  getGameSlates, moveGame, excludeGame, deleteGamePicks, upsertPick, listSeasonLeagueRules,
+  createLeague, getLeague, getLeagueByInviteCode, addLeagueMember, isLeagueMember,
+  listLeagueMembers, listUserLeagues, listLeagues, listMemberContacts, DEFAULT_LEAGUE_ID,
+  isNotificationSent, markNotificationSent, listNotificationDeliveries, recordNotificationDelivery,
+  createUser, getUserCredentials, getUserById, listUsers, countUsers, updateUser, setUserEmail, deleteUser, deleteUserSessions,
+} from './db/index.js';
+import {
+  hashPassword, verifyPassword, startSession, endSession, authenticate, requireAuth, requireAdmin, USERNAME_PATTERN,
+} from './lib/auth.js';
+import { listWeeks, REGULAR_SEASON_WEEKS, LAST_WEEK } from './lib/weeks.js';
+import { createProvider } from './lib/provider.js';
+import { createScheduler } from './lib/scheduler.js';
+import { createLiveHub } from './lib/live.js';
+import { planReconcile, rescheduleRule } from './lib/reconcile.js';
+import { playerSeasonStats } from './lib/stats.js';
+import { toCsv, parseCsv } from './lib/csv.js';
+import { chooseAutoPick } from './lib/autopick.js';
+import { createNotifier } from './lib/notify.js';
+import { reminderMessage, weeklyRecap, recapMessage, rankTotals } from './lib/notifications.js';
+import { survivorStandings } from './lib/survivor.js';
+import {
+  normalizeRules, confidenceRange, pickOutcome, pickPoints, scoreWeek, scoreSeason,
+  tiebreakerGame, tiebreakerTotal, rankWeek, projectWeek, isFinal,
+} from './lib/scoring.js';
+import { validateWeekPicks } from './public/validation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The Express app and its scheduler, created without listening or starting cron so tests
+// can drive them; server.js is the entry point that does both
+export const app = express();
+
+app.use(cors());
+app.use(bodyParser.json());
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/api', authenticate);
+
+// Game data (schedule, scores, current week) comes from the configured provider (lib/provider.js)
+export const provider = createProvider();
+const live = createLiveHub();
+const notifier = createNotifier(process.env, { sharedLeague: DEFAULT_LEAGUE_ID });
+
+function getSeasonYear(date = new Date(provider.now())) {
+  // NFL regular season spans starting Sep week to Jan; use year of September if before March
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1; // 1-12
+  if (month < 3) return year - 1; // Jan/Feb considered previous season year
+  return year;
+}
+
+function determineWinner(game) {
+  if (game.home.score == null || game.away.score == null) return null;
+  if (game.home.score > game.away.score) return 'home';
+  if (game.away.score > game.home.score) return 'away';
+  return 'tie';
+}
+
+// A game locks at kickoff, or as soon as ESPN reports it is no longer scheduled
+function isGameLocked(game, now = provider.now()) {
+  if (game.state && game.state !== 'pre') return true;
+  const kickoff = Date.parse(game.date);
+  return Number.isFinite(kickoff) && kickoff <= now;
+}
+
+// Keep stored picks for locked games and report any attempt to change them.
+// Returns the picks to save plus per-game errors.
+function applyPickLocks(games, existing, submitted, now = provider.now()) {
+  const locked = new Set(games.filter(g => isGameLocked(g, now)).map(g => g.id));
+  const existingByGame = new Map(existing.map(p => [p.gameId, p]));
+  const submittedByGame = new Map(submitted.map(p => [String(p.gameId), p]));
+  const picks = [];
+  const errors = [];
+
+  for (const gameId of locked) {
+    const before = existingByGame.get(gameId);
+    const after = submittedByGame.get(gameId);
+    const changed = !before !== !after ||
+      (before && after && (before.pick !== after.pick || Number(before.confidence) !== Number(after.confidence)));
+    if (changed) errors.push({ gameId, error: 'Game has started; pick is locked' });
+    if (before) picks.push(before);
+  }
+
+  const reserved = new Map(picks.map(p => [Number(p.confidence), p.gameId]));
+  for (const p of submitted) {
+    const gameId = String(p.gameId);
+    if (locked.has(gameId)) continue;
+    if (reserved.has(Number(p.confidence))) {
+      errors.push({ gameId, error: `Confidence ${p.confidence} is already used by a locked game`, reserved: true });
+      continue;
+    }
+    picks.push({ gameId, pick: p.pick, confidence: Number(p.confidence) });
+  }
+  return { picks, errors };
+}
+
+app.get('/api/week-info', async (req, res) => {
+  try {
+    const season = getSeasonYear();
+    let defaultWeek = null;
+    try {
+      defaultWeek = await provider.fetchCurrentWeek();
+    } catch (_) {
+      // ignore and fall back to null
+    }
+    res.json({ season, defaultWeek, weeks: listWeeks() });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to get week info' });
+  }
+});
+
+// Persist a fetched week and record when it was fetched. Games ESPN has moved here from
+// another week, or canceled, are reconciled with their picks (see lib/reconcile.js).
+async function storeWeekGames(season, week, games, { results = false } = {}) {
+  const now = new Date().toISOString();
+  const stored = await getGameSlates(games.map(g => String(g.id)));
+  const changes = planReconcile({ week, fetched: games, stored, rule: rescheduleRule() });
+  await runInTransaction(async () => {
+    // Locked games get their spread snapshotted for against-the-spread results
+    await saveWeekGames(season, week, games.map(g => ({ ...g, locked: isGameLocked(g) })));
+    for (const change of changes) await reconcileGame(season, change);
+    await upsertWeekFetch({
+      season,
+      week,
+      last_schedule_fetch_utc: now,
+      last_results_fetch_utc: results ? now : null,
+    });
+  });
+}
+
+// Apply one planned change and record it in the audit log
+async function reconcileGame(season, { gameId, kind, fromWeek, toWeek, action }) {
+  let deletedPicks = 0;
+  if (action === 'move' || action === 'exclude') deletedPicks = await deleteGamePicks(gameId, fromWeek);
+  if (action === 'move') await moveGame(gameId, toWeek);
+  if (action === 'exclude') await excludeGame(gameId);
+  if (action === 'void') {
+    await setGameOverride({ event_id: gameId, result: 'void', note: `${kind} (${rescheduleRule()} rule)`, set_by: 'system' });
+  }
+  await appendAudit({
+    actor: 'system',
+    action: `game.${kind}`,
+    season,
+    week: fromWeek,
+    event_id: gameId,
+    before: { week: fromWeek },
+    after: { week: action === 'move' ? toWeek : fromWeek, listedWeek: toWeek, action, deletedPicks },
+  });
+  console.log(`Game ${gameId} ${kind}${toWeek ? ` to week ${toWeek}` : ''}: ${action}${deletedPicks ? `, deleted ${deletedPicks} picks` : ''}`);
+}
+
+// League id from a request param; picks made before leagues existed live in the open league
+function leagueIdFrom(value) {
+  return Number(value) || DEFAULT_LEAGUE_ID;
+}
+
+// Resolve the league for a signed-in user. Anyone may use the open league; other
+// leagues need membership. Sends 403 and returns null otherwise.
+async function memberLeagueId(req, res, value) {
+  const league = leagueIdFrom(value);
+  if (league === DEFAULT_LEAGUE_ID || await isLeagueMember(league, req.user.username)) return league;
+  res.status(403).json({ error: 'Join the league first' });
+  return null;
+}
+
+// The league's scoring rules for a season, defaults filled in
+async function leagueRules(league, season) {
+  return normalizeRules((await getLeagueRules(league, season)) || {});
+}
+
+app.get('/api/games', async (req, res) => {
+  try {
+    const season = Number(req.query.season) || getSeasonYear();
+    const week = Number(req.query.week);
+    if (!week) return res.status(400).json({ error: 'week is required' });
+
+    let games = await listWeekGames(season, week);
+    if (games.length === 0) {
+      await storeWeekGames(season, week, await provider.fetchWeekGames({ season, week }));
+      games = await listWeekGames(season, week);
+    }
+    const now = provider.now();
+    res.json(games.map(g => ({ ...g, locked: isGameLocked(g, now) })));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch games' });
+  }
+});
+
+// Accounts
+function publicUser(u) {
+  return { id: u.id, username: u.username, role: u.role, email: u.email ?? null };
+}
+
+app.post('/api/auth/register', async (req, res) => {
+  const username = String(req.body.username || '').trim();
+  const password = String(req.body.password || '');
+  if (!USERNAME_PATTERN.test(username)) return res.status(400).json({ error: 'Username must be 1-32 letters, digits, spaces, . _ or -' });
+  if (password.length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  try {
+    if (await getUserCredentials(username)) return res.status(409).json({ error: 'That username is taken' });
+    // The first account becomes the admin
+    const role = (await countUsers()) === 0 ? 'admin' : 'user';
+    const user = await createUser({ username, password_hash: await hashPassword(password), role });
+    await startSession(req, res, user);
+    res.json(publicUser(user));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const username = String(req.body.username || '').trim();
+  const password = String(req.body.password || '');
+  try {
+    const user = await getUserCredentials(username);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    await startSession(req, res, user);
+    res.json(publicUser(user));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user ? publicUser(req.user) : null);
+});
+
+// Set or clear (empty string) the signed-in user's email for reminders and recaps
+app.patch('/api/auth/me', requireAuth, async (req, res) => {
+  const email = String(req.body.email ?? '').trim();
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return res.status(400).json({ error: 'Enter a valid email address' });
+  try {
+    res.json(publicUser(await setUserEmail(req.user.id, email)));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to update account' });
+  }
+});
+
+// User management (admin)
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  try {
+    res.json(await listUsers());
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load users' });
+  }
+});
+
+app.patch('/api/admin/users/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  const { role, password } = req.body;
+  if (role != null && role !== 'user' && role !== 'admin') return res.status(400).json({ error: 'role must be user or admin' });
+  if (password != null && String(password).length < 6) return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  if (id === req.user.id && role === 'user') return res.status(400).json({ error: 'You cannot remove your own admin role' });
+  try {
+    if (!(await getUserById(id))) return res.status(404).json({ error: 'User not found' });
+    const user = await updateUser(id, {
+      role,
+      password_hash: password != null ? await hashPassword(password) : null,
+    });
+    if (password != null) await deleteUserSessions(id);
+    res.json(user);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+app.delete('/api/admin/users/:id', requireAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  if (id === req.user.id) return res.status(400).json({ error: 'You cannot delete your own account' });
+  try {
+    if (!(await getUserById(id))) return res.status(404).json({ error: 'User not found' });
+    await deleteUser(id);
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+// Result overrides (admin). result: 'home' | 'away' | 'tie' | 'void' (no contest, left out
+// of scoring), or null to go back to the provider's result.
+const OVERRIDE_RESULTS = ['home', 'away', 'tie', 'void'];
+
+app.put('/api/admin/games/:id/result', requireAdmin, async (req, res) => {
+  const { result = null, note = null } = req.body;
+  if (result !== null && !OVERRIDE_RESULTS.includes(result)) {
+    return res.status(400).json({ error: 'result must be home, away, tie, void or null' });
+  }
+  try {
+    const row = await getGame(String(req.params.id));
+    if (!row) return res.status(404).json({ error: 'Game not found' });
+    const previous = await getGameOverride(row.event_id);
+    const before = await listWeekGames(row.season, row.week);
+    await setGameOverride({ event_id: row.event_id, result, note: note ? String(note) : null, set_by: req.user.username });
+    await appendAudit({
+      actor: req.user.username,
+      action: result ? 'result.override' : 'result.clear',
+      season: row.season,
+      week: row.week,
+      event_id: row.event_id,
+      before: previous ? { result: previous.result, note: previous.note } : null,
+      after: result ? { result, note: note ? String(note) : null } : null,
+    });
+    const after = await listWeekGames(row.season, row.week);
+    await publishWeekUpdate(row.season, row.week, after.filter(g => g.id === row.event_id));
+    res.json({ ok: true, game: after.find(g => g.id === row.event_id) });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to override result' });
+  }
+});
+
+// A player's picks for a week, for admins editing them
+app.get('/api/admin/picks', requireAdmin, async (req, res) => {
+  const { season, week, user } = req.query;
+  if (!season || !week || !user) return res.status(400).json({ error: 'season, week and user required' });
+  try {
+    const league = leagueIdFrom(req.query.league);
+    const s = Number(season), w = Number(week);
+    res.json(await currentPicks(league, String(user), s, w));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load picks' });
+  }
+});
+
+// Enter or edit a player's picks on their behalf, including games that have locked
+app.put('/api/admin/picks', requireAdmin, async (req, res) => {
+  const { season, week, user, picks, tiebreaker } = req.body;
+  if (!season || !week || !user || !Array.isArray(picks)) {
+    return res.status(400).json({ error: 'season, week, user, picks required' });
+  }
+  try {
+    const account = await getUserCredentials(String(user));
+    if (!account) return res.status(404).json({ error: 'User not found' });
+    const league = leagueIdFrom(req.body.league);
+    if (!(await getLeague(league))) return res.status(404).json({ error: 'League not found' });
+    const { revision } = await submitWeekPicks({
+      league,
+      user: account.username,
+      season: Number(season),
+      week: Number(week),
+      picks,
+      tiebreaker,
+      revision: ifMatchRevision(req),
+      ignoreLocks: true,
+      actor: req.user.username,
+      action: 'picks.override',
+    });
+    res.set('ETag', revisionTag(revision)).json({ ok: true, revision });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message, errors: e.errors });
+    if (e.status === 409) return sendConflict(res, e, leagueIdFrom(req.body.league), String(user), Number(season), Number(week));
+    res.status(500).json({ error: 'Failed to save picks' });
+  }
+});
+
+// Audit log, newest first. Filters: league (also includes result overrides, which apply
+// to every league), season, week, user (as actor or target), limit (default 100, max 500).
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  try {
+    const num = (v) => (v ? Number(v) : null);
+    res.json(await listAudit({
+      league_id: num(req.query.league),
+      season: num(req.query.season),
+      week: num(req.query.week),
+      user: req.query.user ? String(req.query.user) : null,
+      limit: Math.min(Number(req.query.limit) || 100, 500),
+    }));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+// Leagues
+app.get('/api/leagues', requireAuth, async (req, res) => {
+  try {
+    res.json(await listUserLeagues(req.user.username));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load leagues' });
+  }
+});
+
+app.post('/api/leagues', requireAuth, async (req, res) => {
+  const { name } = req.body;
+  if (!name) return res.status(400).json({ error: 'name required' });
+  try {
+    const league = await createLeague({
+      name: String(name).trim(),
+      invite_code: crypto.randomBytes(4).toString('hex').toUpperCase(),
+      created_by: req.user.username,
+    });
+    res.json(league);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to create league' });
+  }
+});
+
+app.post('/api/leagues/join', requireAuth, async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'code required' });
+  try {
+    const league = await getLeagueByInviteCode(code);
+    if (!league) return res.status(404).json({ error: 'No league with that invite code' });
+    await addLeagueMember(league.id, req.user.username);
+    res.json(league);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to join league' });
+  }
+});
+
+app.get('/api/leagues/:id/members', requireAuth, async (req, res) => {
+  try {
+    const league = await getLeague(Number(req.params.id));
+    if (!league) return res.status(404).json({ error: 'League not found' });
+    if (await memberLeagueId(req, res, league.id) == null) return;
+    res.json(await listLeagueMembers(league.id));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load members' });
+  }
+});
+
+// League from a route param when the signed-in user runs it (its creator, or an admin);
+// otherwise sends 404/403 and returns null
+async function commissionerLeague(req, res, id, action) {
+  const league = await getLeague(Number(id));
+  if (!league) {
+    res.status(404).json({ error: 'League not found' });
+    return null;
+  }
+  if (league.created_by !== req.user.username && req.user.role !== 'admin') {
+    res.status(403).json({ error: `Only the league creator or an admin can ${action}` });
+    return null;
+  }
+  return league;
+}
+
+// Scoring rules. Anyone in the league can read them (with the confidence range for a
+// week when one is given); the league's creator or an admin can change them.
+app.get('/api/rules', requireAuth, async (req, res) => {
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    const season = Number(req.query.season) || getSeasonYear();
+    const rules = await leagueRules(league, season);
+    const week = Number(req.query.week);
+    const range = week ? confidenceRange(rules, (await listWeekGames(season, week)).length) : null;
+    res.json({ league, season, rules, range });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load rules' });
+  }
+});
+
+app.put('/api/leagues/:id/rules', requireAuth, async (req, res) => {
+  try {
+    const league = await commissionerLeague(req, res, req.params.id, 'change rules');
+    if (!league) return;
+    const season = Number(req.body.season);
+    if (!season) return res.status(400).json({ error: 'season required' });
+    const rules = normalizeRules(req.body.rules);
+    await saveLeagueRules(league.id, season, rules);
+    res.json({ league: league.id, season, rules });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    res.status(500).json({ error: 'Failed to save rules' });
+  }
+});
+
+// Save a user's picks for a week: the shared path for POST /api/picks, imports and admin
+// edits. picks: [ { gameId, pick: 'home'|'away', confidence: number } ], same rules as the
+// browser. tiebreaker: predicted total points of the week's last game; undefined leaves it
+// unchanged. Throws a 400 error (with `errors` when per-game) for invalid picks; otherwise
+// returns { errors, revision }: the per-game errors for locked games whose stored picks were
+// kept, and the picks' new revision. revision: the one the picks were loaded at; a 409 error
+// is thrown if they have been saved since (null skips the check). dryRun checks without
+// saving; ignoreLocks (admin edits) lets changes through on locked games. Every save is
+// written to the audit log as `action` by `actor`.
+async function submitWeekPicks({
+  league, user, season, week, picks, tiebreaker, revision = null,
+  dryRun = false, ignoreLocks = false, actor = user, action = 'picks.save',
+}) {
+  if (tiebreaker != null && tiebreaker !== '' && !(Number.isInteger(Number(tiebreaker)) && Number(tiebreaker) >= 0 && Number(tiebreaker) <= 200)) {
+    throw Object.assign(new Error('Tiebreaker must be a whole number of points from 0 to 200'), { status: 400 });
+  }
+  const [games, existingRows, rules, previousTiebreaker] = await Promise.all([
+    listWeekGames(season, week),
+    getUserPicksByWeek(league, user, season, week),
+    leagueRules(league, season),
+    getTiebreaker(league, user, season, week),
+  ]);
+  const invalid = validateWeekPicks(picks, games, confidenceRange(rules, games.length));
+  if (invalid.length) {
+    throw Object.assign(new Error(invalid[0].message), { status: 400, errors: invalid });
+  }
+  const existing = existingRows.map(r => ({ gameId: r.event_id, pick: r.side, confidence: r.confidence, auto: !!r.auto }));
+  const { picks: toSave, errors } = ignoreLocks
+    ? { picks: picks.map(p => ({ gameId: String(p.gameId), pick: p.pick, confidence: Number(p.confidence) })), errors: [] }
+    : applyPickLocks(games, existing, picks);
+  if (errors.some(e => e.reserved)) {
+    throw Object.assign(new Error('Confidence values used by locked games are reserved'), { status: 400, errors });
+  }
+
+  let savedTiebreaker = previousTiebreaker;
+  if (tiebreaker !== undefined) {
+    const tbGame = tiebreakerGame(games);
+    const predicted = tiebreaker === null || tiebreaker === '' ? null : Number(tiebreaker);
+    if (!ignoreLocks && tbGame && isGameLocked(tbGame)) {
+      if (predicted !== previousTiebreaker) {
+        errors.push({ gameId: tbGame.id, error: 'Game has started; tiebreaker is locked' });
+      }
+    } else {
+      savedTiebreaker = predicted;
+    }
+  }
+  if (dryRun) return { errors, revision };
+
+  // Picks, tiebreaker and audit row are saved together or not at all
+  const saved = await runInTransaction(async () => {
+    await addLeagueMember(league, user);
+    const next = await saveUserWeekPicks(league, user, season, week, toSave, { revision });
+    if (savedTiebreaker !== previousTiebreaker) await saveTiebreaker(league, user, season, week, savedTiebreaker);
+    await appendAudit({
+      actor,
+      action,
+      league_id: league,
+      target_user: user,
+      season,
+      week,
+      before: { picks: existing, tiebreaker: previousTiebreaker },
+      after: { picks: toSave, tiebreaker: savedTiebreaker },
+    });
+    return next;
+  });
+  return { errors, revision: saved };
+}
+
+// Picks are versioned per player and week (pick_revisions): GET /api/picks sends the
+// revision as its ETag and saves send it back as If-Match. A save based on an older
+// revision gets a 409 with the current picks, so the browser can show both.
+const revisionTag = (revision) => `"${revision}"`;
+
+// The revision from a save's If-Match header; null when there is none, so saves that do
+// not send one (scripts, older pages) overwrite as before
+function ifMatchRevision(req) {
+  const header = (req.get('If-Match') || '').trim();
+  if (!header || header === '*') return null;
+  const m = /^(?:W\/)?"?(\d+)"?$/.exec(header);
+  if (!m) throw Object.assign(new Error('If-Match must be a picks revision'), { status: 400 });
+  return Number(m[1]);
+}
+
+// A player's submitted picks for a week with their revision
+async function currentPicks(league, user, season, week) {
+  const [rows, tiebreaker, revision] = await Promise.all([
+    getUserPicksByWeek(league, user, season, week),
+    getTiebreaker(league, user, season, week),
+    getPickRevision(league, user, season, week),
+  ]);
+  return {
+    picks: rows.map(r => ({ gameId: r.event_id, pick: r.side, confidence: r.confidence, auto: !!r.auto })),
+    tiebreaker,
+    revision,
+  };
+}
+
+// 409 for a stale revision, with the current picks so the client can show the conflict.
+// If those can't be read the plain 409 still goes out.
+async function sendConflict(res, e, league, user, season, week) {
+  let current = {};
+  try {
+    current = await currentPicks(league, user, season, week);
+  } catch (err) {
+    console.error('currentPicks failed', err.message);
+  }
+  res.status(409).json({ error: e.message, ...current });
+}
+
+app.post('/api/picks', requireAuth, async (req, res) => {
+  try {
+    const { season, week, picks, tiebreaker } = req.body;
+    if (!season || !week || !Array.isArray(picks)) {
+      return res.status(400).json({ error: 'season, week, picks required' });
+    }
+    const league = await memberLeagueId(req, res, req.body.league);
+    if (league == null) return;
+    const { errors, revision } = await submitWeekPicks({
+      league,
+      user: req.user.username,
+      season: Number(season),
+      week: Number(week),
+      picks,
+      tiebreaker,
+      revision: ifMatchRevision(req),
+    });
+    // Submitted picks replace the autosaved draft
+    await deletePickDraft(league, req.user.username, Number(season), Number(week));
+    res.set('ETag', revisionTag(revision)).json({ ok: true, errors, revision });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message, errors: e.errors });
+    if (e.status === 409) return sendConflict(res, e, leagueIdFrom(req.body.league), req.user.username, Number(req.body.season), Number(req.body.week));
+    res.status(500).json({ error: 'Failed to save picks' });
+  }
+});
+
+app.get('/api/picks', requireAuth, async (req, res) => {
+  const { season, week } = req.query;
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    const s = Number(season), w = Number(week);
+    const [rows, revision] = await Promise.all([
+      getUserPicksByWeek(league, req.user.username, s, w),
+      getPickRevision(league, req.user.username, s, w),
+    ]);
+    // Not cached: the revision is only bumped for saves, not when a rescheduled game drops picks
+    res.set({ ETag: revisionTag(revision), 'Cache-Control': 'no-store' });
+    res.json(rows.map(r => ({ gameId: r.event_id, pick: r.side, confidence: r.confidence, auto: !!r.auto })));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load picks' });
+  }
+});
+
+// Autosaved drafts of a week's picks, kept apart from the submitted ones until Save.
+//   GET    /api/picks/draft?league=&season=&week=  -> { picks, tiebreaker, revision, updatedAt } | null
+//   PUT    /api/picks/draft  { league, season, week, picks, tiebreaker, revision, updatedAt }
+//   DELETE /api/picks/draft?league=&season=&week=
+// revision is the submitted picks' revision the draft started from. A draft is stored as
+// typed (it may be incomplete); the checks run when it is submitted.
+app.get('/api/picks/draft', requireAuth, async (req, res) => {
+  const { season, week } = req.query;
+  if (!season || !week) return res.status(400).json({ error: 'season and week required' });
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    res.set('Cache-Control', 'no-store').json(await getPickDraft(league, req.user.username, Number(season), Number(week)));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load draft' });
+  }
+});
+
+const isDraftPick = (p) => p && (typeof p.gameId === 'string' || typeof p.gameId === 'number') &&
+  (p.pick === 'home' || p.pick === 'away') && Number.isInteger(Number(p.confidence));
+
+app.put('/api/picks/draft', requireAuth, async (req, res) => {
+  const { season, week, picks, tiebreaker = null, revision = 0, updatedAt } = req.body;
+  if (!season || !week || !Array.isArray(picks)) return res.status(400).json({ error: 'season, week, picks required' });
+  if (picks.length > 100 || !picks.every(isDraftPick)) return res.status(400).json({ error: 'picks must be { gameId, pick, confidence }' });
+  try {
+    const league = await memberLeagueId(req, res, req.body.league);
+    if (league == null) return;
+    const draft = {
+      picks: picks.map(p => ({ gameId: String(p.gameId), pick: p.pick, confidence: Number(p.confidence) })),
+      tiebreaker: Number.isInteger(tiebreaker) ? tiebreaker : null,
+      revision: Number(revision) || 0,
+      // The browser's time, so its local copy and this one compare on the same clock
+      updatedAt: updatedAt && !Number.isNaN(Date.parse(updatedAt)) ? new Date(updatedAt).toISOString() : new Date().toISOString(),
+    };
+    await savePickDraft(league, req.user.username, Number(season), Number(week), draft);
+    res.json({ ok: true, updatedAt: draft.updatedAt });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to save draft' });
+  }
+});
+
+app.delete('/api/picks/draft', requireAuth, async (req, res) => {
+  const { season, week } = req.query;
+  if (!season || !week) return res.status(400).json({ error: 'season and week required' });
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    await deletePickDraft(league, req.user.username, Number(season), Number(week));
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to delete draft' });
+  }
+});
+
+// Everyone's picks for a week as player × game cells. Picks on games that have not
+// locked yet are only revealed to their owner.
+function buildPicksGrid(rules, week, games, pickRows, results, viewer, now = provider.now()) {
+  const locked = new Set(games.filter(g => isGameLocked(g, now)).map(g => g.id));
+  const byId = new Map(games.map(g => [g.id, g]));
+  const points = scoreWeek(rules, week, games, results, pickRows);
+  const players = new Map();
+  for (const r of pickRows) {
+    if (!players.has(r.user)) players.set(r.user, { user: r.user, points: points[r.user] || 0, picks: {} });
+    const player = players.get(r.user);
+    if (r.user !== viewer && !locked.has(r.event_id)) {
+      player.picks[r.event_id] = { hidden: true };
+      continue;
+    }
+    const game = byId.get(r.event_id);
+    const result = game ? pickOutcome(r.side, game, results) : 'pending';
+    player.picks[r.event_id] = { pick: r.side, confidence: r.confidence, result, auto: !!r.auto };
+  }
+  return {
+    games: games.map(g => ({ ...g, locked: locked.has(g.id) })),
+    players: [...players.values()].sort((a, b) => b.points - a.points || a.user.localeCompare(b.user)),
+  };
+}
+
+// The signed-in user's tiebreaker for a week, with the game it applies to
+app.get('/api/tiebreaker', requireAuth, async (req, res) => {
+  const { season, week } = req.query;
+  if (!season || !week) return res.status(400).json({ error: 'season and week required' });
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    const s = Number(season), w = Number(week);
+    const game = tiebreakerGame(await listWeekGames(s, w));
+    res.json({
+      gameId: game ? game.id : null,
+      locked: game ? isGameLocked(game) : false,
+      total: await getTiebreaker(league, req.user.username, s, w),
+    });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load tiebreaker' });
+  }
+});
+
+app.get('/api/picks-grid', requireAuth, async (req, res) => {
+  const { season, week } = req.query;
+  if (!season || !week) return res.status(400).json({ error: 'season and week required' });
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    const s = Number(season), w = Number(week);
+    const rules = await leagueRules(league, s);
+    const [games, pickRows, results] = await Promise.all([
+      listWeekGames(s, w),
+      getAllPicksByWeek(league, s, w),
+      getWeekResults(s, w, { againstSpread: rules.againstSpread }),
+    ]);
+    res.json(buildPicksGrid(rules, w, games, pickRows, results, req.user.username));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load picks grid' });
+  }
+});
+
+// Weekly scoreboard for a league as seen by `viewer`: other players' tiebreaker
+// predictions stay hidden until the tiebreaker game locks (unless revealAll, for
+// commissioner exports). Standings rows carry the
+// live projection (points still at stake, max possible, still alive to win the week).
+async function weekScoreboard(league, season, week, viewer, { revealAll = false } = {}) {
+  const rules = await leagueRules(league, season);
+  const [games, pickRows, results, predictions] = await Promise.all([
+    listWeekGames(season, week),
+    getAllPicksByWeek(league, season, week),
+    getWeekResults(season, week, { againstSpread: rules.againstSpread }),
+    getWeekTiebreakers(league, season, week),
+  ]);
+  const scores = scoreWeek(rules, week, games, results, pickRows);
+  const tbGame = tiebreakerGame(games);
+  const visible = revealAll || (tbGame && isGameLocked(tbGame))
+    ? predictions
+    : Object.fromEntries(Object.entries(predictions).filter(([user]) => user === viewer));
+  const projection = projectWeek(rules, week, games, results, pickRows);
+  const standings = rankWeek(scores, visible, tiebreakerTotal(tbGame))
+    .map(row => ({ ...row, live: projection[row.user].live, maxPossible: projection[row.user].maxPossible, alive: projection[row.user].alive }));
+  return { scores, standings, tiebreakerGameId: tbGame ? tbGame.id : null, results };
+}
+
+async function seasonScoreboard(league, season) {
+  const rules = await leagueRules(league, season);
+  const [games, pickRows, results] = await Promise.all([
+    listSeasonGames(season),
+    getAllPicksBySeason(league, season),
+    getSeasonResults(season, { againstSpread: rules.againstSpread }),
+  ]);
+  return { scores: scoreSeason(rules, games, results, pickRows) };
+}
+
+app.get('/api/scoreboard', requireAuth, async (req, res) => {
+  const { season, week } = req.query;
+  if (!season || !week) return res.status(400).json({ error: 'season and week required' });
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    res.json(await weekScoreboard(league, Number(season), Number(week), req.user.username));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load scoreboard' });
+  }
+});
+
+// Season-long cumulative scoreboard
+app.get('/api/scoreboard-season', requireAuth, async (req, res) => {
+  const { season } = req.query;
+  if (!season) return res.status(400).json({ error: 'season required' });
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    res.json(await seasonScoreboard(league, Number(season)));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load season scoreboard' });
+  }
+});
+
+// Seasons in storage, newest first (the current one and any backfilled): [{ season, games, weeks }]
+app.get('/api/seasons', async (req, res) => {
+  try {
+    res.json(await listSeasons());
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to list seasons' });
+  }
+});
+
+// A league's history: every stored season it has picks in, newest first, with final
+// standings. A season is complete once all of its games are final and it is over (an
+// earlier season, or the Super Bowl is in); only then does it have champions.
+//   GET /api/archive?league= -> { league, seasons: [{ season, complete, champions, standings: [{ user, points, rank }] }] }
+app.get('/api/archive', requireAuth, async (req, res) => {
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    const current = getSeasonYear();
+    const seasons = [];
+    for (const { season } of await listSeasons()) {
+      const [games, { scores }] = await Promise.all([listSeasonGames(season), seasonScoreboard(league, season)]);
+      if (!Object.keys(scores).length) continue;
+      const ranks = rankTotals(scores);
+      const standings = Object.entries(scores)
+        .map(([user, points]) => ({ user, points, rank: ranks[user] }))
+        .sort((a, b) => a.rank - b.rank || a.user.localeCompare(b.user));
+      const complete = games.every(isFinal) && (season < current || games.some(g => g.week === LAST_WEEK));
+      seasons.push({ season, complete, champions: complete ? standings.filter(r => r.rank === 1).map(r => r.user) : [], standings });
+    }
+    res.json({ league, seasons });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load archive' });
+  }
+});
+
+// Export a league's picks, results or standings for a season, or one week of it, as CSV or
+// JSON (commissioner only: it includes picks on games that have not locked).
+//   GET /api/leagues/:id/export?season=2024&week=3&type=picks|results|standings&format=csv|json
+const EXPORT_COLUMNS = {
+  picks: ['season', 'week', 'user', 'game_id', 'away', 'home', 'team', 'confidence', 'result', 'points'],
+  results: ['season', 'week', 'game_id', 'kickoff', 'away', 'home', 'away_score', 'home_score', 'status', 'winner'],
+  standings: ['season', 'week', 'rank', 'user', 'points', 'tiebreaker', 'tiebreaker_actual'],
+  seasonStandings: ['season', 'rank', 'user', 'points'],
+};
+
+async function exportRows(league, type, season, week) {
+  const rules = await leagueRules(league, season);
+  const spread = { againstSpread: rules.againstSpread };
+  const [games, pickRows, results] = await Promise.all([
+    week ? listWeekGames(season, week) : listSeasonGames(season),
+    week ? getAllPicksByWeek(league, season, week) : getAllPicksBySeason(league, season),
+    week ? getWeekResults(season, week, spread) : getSeasonResults(season, spread),
+  ]);
+  const byId = new Map(games.map(g => [g.id, g]));
+  if (type === 'picks') {
+    return pickRows.filter(p => byId.has(p.event_id)).map(p => {
+      const g = byId.get(p.event_id);
+      const result = pickOutcome(p.side, g, results);
+      return {
+        season, week: p.week, user: p.user, game_id: g.id,
+        away: g.away.abbreviation, home: g.home.abbreviation, team: g[p.side].abbreviation,
+        confidence: p.confidence, result, points: pickPoints(rules, result, p.confidence, p.week),
+      };
+    });
+  }
+  if (type === 'results') {
+    return games.map(g => {
+      const winner = results[g.id];
+      const tie = !winner && tiebreakerTotal(g) != null;
+      return {
+        season, week: g.week, game_id: g.id, kickoff: g.date,
+        away: g.away.abbreviation, home: g.home.abbreviation,
+        away_score: g.away.score, home_score: g.home.score, status: g.status,
+        winner: winner ? g[winner].abbreviation : tie ? 'TIE' : '',
+      };
+    });
+  }
+  if (week) {
+    const { standings } = await weekScoreboard(league, season, week, null, { revealAll: true });
+    return standings.map(r => ({
+      season, week, rank: r.rank, user: r.user, points: r.points,
+      tiebreaker: r.tiebreaker.predicted, tiebreaker_actual: r.tiebreaker.actual,
+    }));
+  }
+  const totals = scoreSeason(rules, games, results, pickRows);
+  return rankWeek(totals, {}, null).map(r => ({ season, rank: r.rank, user: r.user, points: r.points }));
+}
+
+app.get('/api/leagues/:id/export', requireAuth, async (req, res) => {
+  try {
+    const league = await commissionerLeague(req, res, req.params.id, 'export data');
+    if (!league) return;
+    const season = Number(req.query.season) || getSeasonYear();
+    const week = req.query.week ? Number(req.query.week) : null;
+    const type = req.query.type || 'picks';
+    const format = req.query.format || 'json';
+    if (!['picks', 'results', 'standings'].includes(type)) return res.status(400).json({ error: 'type must be picks, results or standings' });
+    if (!['csv', 'json'].includes(format)) return res.status(400).json({ error: 'format must be csv or json' });
+    const rows = await exportRows(league.id, type, season, week);
+    if (format === 'json') return res.json(rows);
+    const columns = EXPORT_COLUMNS[type === 'standings' && !week ? 'seasonStandings' : type];
+    const name = `league-${league.id}-${season}${week ? `-week-${week}` : ''}-${type}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}"`);
+    res.send(toCsv(columns, rows));
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to export' });
+  }
+});
+
+// Import picks (commissioner only), e.g. ones texted in by players. Send CSV
+// (Content-Type: text/csv) or JSON { rows: [...] }. Each row has season, week, user, team
+// (abbreviation) and confidence, plus an optional tiebreaker; season and week may come from
+// the query instead. Rows are grouped per user and week, and each group replaces that user's
+// picks for the week through the same checks as POST /api/picks (locked games keep their
+// stored picks). With ?dryRun=1 nothing is saved; otherwise nothing is saved unless every
+// row is valid. Errors carry the spreadsheet row number (the header is row 1).
+app.post('/api/leagues/:id/import', requireAuth, bodyParser.text({ type: 'text/csv', limit: '1mb' }), async (req, res) => {
+  try {
+    const league = await commissionerLeague(req, res, req.params.id, 'import picks');
+    if (!league) return;
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    let rows;
+    if (typeof req.body === 'string') rows = parseCsv(req.body);
+    else if (Array.isArray(req.body?.rows)) rows = req.body.rows;
+    else return res.status(400).json({ error: 'Send CSV text or { rows: [...] }' });
+
+    const errors = [];
+    const warnings = [];
+    const groups = new Map();
+    const weekGames = new Map();
+    for (const [i, raw] of rows.entries()) {
+      const row = i + 2;
+      const r = Object.fromEntries(Object.entries(raw || {}).map(([k, v]) => [String(k).toLowerCase(), v]));
+      // A blank season or week cell falls back to ?season= / ?week=
+      const seasonCell = r.season || req.query.season;
+      const weekCell = r.week || req.query.week;
+      const season = Number(seasonCell);
+      const week = Number(weekCell);
+      const user = r.user != null ? String(r.user).trim() : '';
+      const team = r.team != null ? String(r.team).trim().toUpperCase() : '';
+      const fail = (message) => errors.push({ row, user, week, message });
+      if (!seasonCell || !weekCell || !user || !team || r.confidence == null || r.confidence === '') {
+        fail('season, week, user, team and confidence are required');
+        continue;
+      }
+      if (![season, week].every(n => Number.isInteger(n) && n > 0)) {
+        fail('season and week must be positive whole numbers');
+        continue;
+      }
+      const key = `${season}-${week}`;
+      if (!weekGames.has(key)) weekGames.set(key, await listWeekGames(season, week));
+      const game = weekGames.get(key).find(g => g.home.abbreviation === team || g.away.abbreviation === team);
+      if (!game) {
+        fail(`${team} does not play in week ${week} of ${season}`);
+        continue;
+      }
+      const groupKey = `${user.toLowerCase()}|${season}|${week}`;
+      if (!groups.has(groupKey)) groups.set(groupKey, { user, season, week, picks: [], rows: [], tiebreaker: undefined });
+      const group = groups.get(groupKey);
+      group.picks.push({ gameId: game.id, pick: game.home.abbreviation === team ? 'home' : 'away', confidence: Number(r.confidence) });
+      group.rows.push(row);
+      if (r.tiebreaker != null && r.tiebreaker !== '') group.tiebreaker = r.tiebreaker;
+    }
+
+    for (const group of groups.values()) {
+      const account = await getUserCredentials(group.user);
+      if (!account) {
+        for (const row of group.rows) errors.push({ row, user: group.user, week: group.week, message: `No account named ${group.user}` });
+        continue;
+      }
+      group.user = account.username;
+      const rowOfGame = (gameId) => group.rows[group.picks.findIndex(p => p.gameId === gameId)] ?? null;
+      try {
+        const { errors: locked } = await submitWeekPicks({ league: league.id, ...group, dryRun: true });
+        for (const e of locked) warnings.push({ row: rowOfGame(e.gameId), user: group.user, week: group.week, message: e.error });
+      } catch (e) {
+        if (e.status !== 400) throw e;
+        const list = e.errors || [{ message: e.message }];
+        for (const err of list) {
+          const row = err.index != null ? group.rows[err.index] : err.gameId ? rowOfGame(err.gameId) : null;
+          errors.push({ row, user: group.user, week: group.week, message: err.message || err.error });
+        }
+      }
+    }
+
+    const summary = { dryRun, rows: rows.length, groups: groups.size, errors, warnings };
+    if (dryRun) return res.json({ ok: errors.length === 0, ...summary });
+    if (errors.length) return res.status(400).json({ error: 'Import has errors; nothing was saved', ...summary });
+    for (const group of groups.values()) await submitWeekPicks({ league: league.id, ...group, actor: req.user.username, action: 'picks.import' });
+    res.json({ ok: true, ...summary });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to import picks' });
+  }
+});
+
+// Season statistics for a player in a league (default: the signed-in user). Only picks
+// on locked games count, except for the viewer's own, so stats never reveal open picks.
+app.get('/api/stats', requireAuth, async (req, res) => {
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    const season = Number(req.query.season) || getSeasonYear();
+    const user = req.query.user ? String(req.query.user) : req.user.username;
+    if (league !== DEFAULT_LEAGUE_ID && !(await isLeagueMember(league, user))) return res.status(404).json({ error: 'No such player in this league' });
+    const rules = await leagueRules(league, season);
+    const [games, pickRows, results, predictions] = await Promise.all([
+      listSeasonGames(season),
+      getAllPicksBySeason(league, season),
+      getSeasonResults(season, { againstSpread: rules.againstSpread }),
+      getSeasonTiebreakers(league, season),
+    ]);
+    const now = provider.now();
+    const byId = new Map(games.map(g => [g.id, g]));
+    const picks = pickRows.filter(p => p.user === req.user.username || (byId.get(p.event_id) && isGameLocked(byId.get(p.event_id), now)));
+    // Tiebreakers only count once the week's tiebreaker game has locked, as on the scoreboard
+    const visible = {};
+    const tiebreakers = {};
+    for (const week of new Set(games.map(g => g.week))) {
+      const tbGame = tiebreakerGame(games.filter(g => g.week === week));
+      if (tbGame && isGameLocked(tbGame, now)) visible[week] = predictions[week] || {};
+      tiebreakers[week] = tiebreakerTotal(tbGame);
+    }
+    res.json({ league, season, ...playerSeasonStats({ rules, user, games, results, picks, predictions: visible, tiebreakers }) });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load stats' });
+  }
+});
+
+// Survivor pool standings for a league's season (lib/survivor.js), on the games and
+// results the confidence game already fetches. Picks carry their team ({ abbreviation, logo });
+// other players' picks on games that have not locked are hidden: { week, hidden: true }.
+//   GET /api/survivor?league=&season= -> { league, season, weeks: [{ week, closed }], standings }
+async function survivorState(league, season, now = provider.now()) {
+  const [games, results, picks] = await Promise.all([
+    listSeasonGames(season),
+    getSeasonResults(season),
+    getSurvivorPicks(league, season),
+  ]);
+  const regular = games.filter(g => g.week <= REGULAR_SEASON_WEEKS);
+  const weeks = [...new Set(regular.map(g => g.week))].sort((a, b) => a - b).map(week => ({
+    week,
+    closed: regular.filter(g => g.week === week).every(g => isGameLocked(g, now)),
+  }));
+  const closedWeeks = weeks.filter(w => w.closed).map(w => w.week);
+  return { games: regular, weeks, standings: survivorStandings({ games: regular, results, picks, closedWeeks }) };
+}
+
+app.get('/api/survivor', requireAuth, async (req, res) => {
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    const season = Number(req.query.season) || getSeasonYear();
+    const now = provider.now();
+    const { games, weeks, standings } = await survivorState(league, season, now);
+    const byId = new Map(games.map(g => [g.id, g]));
+    for (const row of standings) {
+      row.picks = row.picks.map(p => {
+        const game = byId.get(p.gameId);
+        if (row.user !== req.user.username && !isGameLocked(game, now)) return { week: p.week, hidden: true };
+        return { ...p, team: { abbreviation: game[p.side].abbreviation, logo: game[p.side].logo } };
+      });
+    }
+    res.json({ league, season, weeks, standings });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to load survivor standings' });
+  }
+});
+
+// Make or change the signed-in player's survivor pick for a week: { league, season, week,
+// team } with the team's id, or team null to clear it. The team must play that week, in a
+// game that has not kicked off, and not have been used in another week; a pick whose game
+// has kicked off can no longer be changed, and eliminated players cannot pick.
+app.post('/api/survivor/picks', requireAuth, async (req, res) => {
+  const season = Number(req.body.season);
+  const week = Number(req.body.week);
+  const team = req.body.team == null ? null : String(req.body.team);
+  if (!season || !week) return res.status(400).json({ error: 'season and week required' });
+  if (week > REGULAR_SEASON_WEEKS) return res.status(400).json({ error: 'Survivor picks are for regular season weeks' });
+  try {
+    const league = await memberLeagueId(req, res, req.body.league);
+    if (league == null) return;
+    const user = req.user.username;
+    const now = provider.now();
+    const [{ games, standings }, weekGames] = await Promise.all([
+      survivorState(league, season, now),
+      listWeekGames(season, week),
+    ]);
+    const mine = standings.find(r => r.user === user);
+    if (mine && !mine.alive && mine.eliminatedWeek <= week) {
+      return res.status(400).json({ error: `You were eliminated in week ${mine.eliminatedWeek}` });
+    }
+    const current = mine && mine.picks.find(p => p.week === week);
+    const currentGame = current && games.find(g => g.id === current.gameId);
+    if (currentGame && isGameLocked(currentGame, now)) {
+      return res.status(400).json({ error: 'Your pick for this week has locked' });
+    }
+
+    let game = null;
+    if (team) {
+      game = weekGames.find(g => String(g.home.id) === team || String(g.away.id) === team);
+      if (!game || game.phase === 'canceled') return res.status(400).json({ error: 'That team has no game this week' });
+      if (isGameLocked(game, now)) return res.status(400).json({ error: 'Game has started; pick is locked' });
+      const used = mine && mine.picks.find(p => p.teamId === team && p.week !== week);
+      if (used) return res.status(400).json({ error: `You already picked that team in week ${used.week}` });
+    }
+
+    await addLeagueMember(league, user);
+    await runInTransaction(async () => {
+      if (team) await saveSurvivorPick({ league_id: league, user, season, week, event_id: game.id, team_id: team });
+      else await deleteSurvivorPick(league, user, season, week);
+      await appendAudit({
+        actor: user, action: 'survivor.pick', league_id: league, target_user: user, season, week,
+        event_id: game ? game.id : null,
+        before: current ? { gameId: current.gameId, team: current.teamId } : null,
+        after: team ? { gameId: game.id, team } : null,
+      });
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to save survivor pick' });
+  }
+});
+
+// Live updates (Server-Sent Events) for one league/season/week. Sends an `update` event
+// with changed games and recomputed standings whenever updateResults sees a change.
+app.get('/api/stream', requireAuth, async (req, res) => {
+  const { season, week } = req.query;
+  if (!season || !week) return res.status(400).json({ error: 'season and week required' });
+  try {
+    const league = await memberLeagueId(req, res, req.query.league);
+    if (league == null) return;
+    live.subscribe(req, res, { league, season: Number(season), week: Number(week), user: req.user.username });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to open stream' });
+  }
+});
+
+// Games whose status or score differ between two fetches of a week
+function changedGames(before, after) {
+  const prev = new Map(before.map(g => [g.id, g]));
+  return after.filter(g => {
+    const p = prev.get(g.id);
+    return !p || p.status !== g.status || p.home.score !== g.home.score || p.away.score !== g.away.score;
+  });
+}
+
+// Push changed games and recomputed scores to the week's live subscribers
+async function publishWeekUpdate(season, week, changed) {
+  if (!changed.length) return;
+  const now = provider.now();
+  await live.publish(season, week, 'update', async (topic) => ({
+    season,
+    week,
+    games: changed.map(g => ({ ...g, locked: isGameLocked(g, now) })),
+    scoreboard: await weekScoreboard(topic.league, season, week, topic.user),
+    seasonScores: (await seasonScoreboard(topic.league, season)).scores,
+  }));
+}
+
+async function updateResults(season, week) {
+  try {
+    const before = await listWeekGames(season, week);
+    const games = await provider.fetchResults({ season, week });
+    // Update stored games with latest scores/statuses; finals get a winner (ties get none)
+    await storeWeekGames(season, week, games, { results: true });
+    const after = await listWeekGames(season, week);
+    await publishWeekUpdate(season, week, changedGames(before, after));
+    return await getWeekResults(season, week);
+  } catch (e) {
+    console.error('updateResults failed', e.message);
+    return null;
+  }
+}
+
+// Import a whole season's schedule and results through the provider, week by week. The
+// scheduler only follows the current season, so past seasons are backfilled with this
+// (POST /api/admin/backfill or `npm run backfill -- <season>`). Weeks the provider has no
+// games for are skipped. Returns [{ week, games, final }].
+export async function backfillSeason(season) {
+  const weeks = [];
+  for (const { value: week } of listWeeks()) {
+    const games = await provider.fetchResults({ season, week });
+    if (!games.length) continue;
+    await storeWeekGames(season, week, games, { results: true });
+    const stored = await listWeekGames(season, week);
+    weeks.push({ week, games: stored.length, final: stored.filter(isFinal).length });
+  }
+  return weeks;
+}
+
+app.post('/api/admin/backfill', requireAdmin, async (req, res) => {
+  const season = Number(req.body.season);
+  if (!Number.isInteger(season) || season < 2000) return res.status(400).json({ error: 'season required' });
+  if (season > getSeasonYear()) return res.status(400).json({ error: 'That season has not started' });
+  try {
+    const weeks = await backfillSeason(season);
+    await appendAudit({ actor: req.user.username, action: 'season.backfill', season, after: { weeks } });
+    res.json({ ok: true, season, weeks });
+  } catch (e) {
+    console.error('Backfill failed', e.message);
+    res.status(500).json({ error: 'Failed to backfill season' });
+  }
+});
+
+// Provider clock. Fixture providers can be stepped forward by an admin to replay games.
+app.get('/api/clock', (req, res) => {
+  res.json({ provider: provider.name, now: new Date(provider.now()).toISOString(), simulated: !!provider.advance });
+});
+
+app.post('/api/clock', requireAdmin, (req, res) => {
+  if (!provider.advance) return res.status(400).json({ error: `The ${provider.name} provider uses the real clock` });
+  try {
+    const { time, advanceMinutes } = req.body;
+    if (time != null) provider.setTime(time);
+    if (advanceMinutes != null) provider.advance(Number(advanceMinutes) * 60 * 1000);
+    res.json({ provider: provider.name, now: new Date(provider.now()).toISOString(), simulated: true });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    res.status(500).json({ error: 'Failed to set clock' });
+  }
+});
+
+app.post('/api/update-results', requireAuth, async (req, res) => {
+  const { season, week } = req.body;
+  if (!season || !week) return res.status(400).json({ error: 'season and week required' });
+  const results = await updateResults(Number(season), Number(week));
+  if (!results) return res.status(500).json({ error: 'Failed to update results' });
+  res.json({ ok: true, results });
+});
+
+// How long after kickoff a game can still get automatic picks, so a server that was down
+// at lock catches up without rewriting games from earlier in the season
+const AUTO_PICK_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Fill missing picks on games that have just locked, in leagues whose rules set autoPick
+// (see lib/autopick.js). Every league member without a pick on the game gets one; each is audited.
+async function fillAutoPicks(season) {
+  const now = provider.now();
+  const due = (await listSeasonGames(season)).filter(g =>
+    isGameLocked(g, now) && now - Date.parse(g.date) < AUTO_PICK_WINDOW_MS &&
+    g.override !== 'void' && g.phase !== 'canceled');
+  if (!due.length) return;
+  const filledWeeks = new Set();
+  for (const { league_id: league, rules: stored } of await listSeasonLeagueRules(season)) {
+    const rules = normalizeRules(stored);
+    if (rules.autoPick === 'none') continue;
+    const members = await listLeagueMembers(league);
+    for (const week of new Set(due.map(g => g.week))) {
+      const weekGames = await listWeekGames(season, week);
+      const range = confidenceRange(rules, weekGames.length);
+      const picks = await getAllPicksByWeek(league, season, week);
+      for (const game of due.filter(g => g.week === week)) {
+        const gamePicks = picks.filter(p => p.event_id === game.id && !p.auto);
+        for (const { user } of members) {
+          if (picks.some(p => p.user === user && p.event_id === game.id)) continue;
+          const userPicks = picks.filter(p => p.user === user);
+          const choice = chooseAutoPick(rules.autoPick, { game, userPicks, gamePicks, range });
+          if (!choice) continue;
+          await runInTransaction(async () => {
+            await upsertPick({
+              league_id: league, user, season, week, event_id: game.id,
+              picked_team_id: game[choice.pick].id, confidence: choice.confidence, auto: true,
+            });
+            await bumpPickRevision(league, user, season, week);
+            await appendAudit({
+              actor: 'system', action: 'picks.auto', league_id: league, target_user: user,
+              season, week, event_id: game.id, before: null, after: choice,
+            });
+          });
+          picks.push({ user, event_id: game.id, side: choice.pick, confidence: choice.confidence, auto: 1 });
+          filledWeeks.add(week);
+        }
+      }
+    }
+  }
+  for (const week of filledWeeks) await publishWeekUpdate(season, week, due.filter(g => g.week === week));
+}
+
+// Reminders go out this many hours before a week's first kickoff (NOTIFY_REMINDER_HOURS)
+const REMINDER_HOURS = Number(process.env.NOTIFY_REMINDER_HOURS) || 24;
+// Recaps are only sent for weeks whose last kickoff is this recent, so a server started
+// mid-season does not recap every earlier week
+const RECAP_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+// A failed delivery is retried after this long, doubling per failure, and given up after
+// MAX_ATTEMPTS tries
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 6;
+
+const weekLabel = (week) => listWeeks().find(w => w.value === week)?.label || `Week ${week}`;
+
+// Reminders before each week's first lock and recaps once a week is final, once per league
+// and week (see lib/notify.js for the delivery channels)
+async function sendNotifications(season) {
+  const now = provider.now();
+  const byWeek = new Map();
+  for (const g of await listSeasonGames(season)) {
+    if (!byWeek.has(g.week)) byWeek.set(g.week, []);
+    byWeek.get(g.week).push(g);
+  }
+  for (const [week, games] of byWeek) {
+    const kickoffs = games.map(g => Date.parse(g.date)).filter(Number.isFinite);
+    if (!kickoffs.length) continue;
+    const firstLock = Math.min(...kickoffs);
+    if (now < firstLock && now >= firstLock - REMINDER_HOURS * 60 * 60 * 1000) await sendReminders(season, week, games);
+    if (games.every(isFinal) && now - Math.max(...kickoffs) < RECAP_WINDOW_MS) await sendRecaps(season, week);
+  }
+}
+
+async function sendReminders(season, week, games) {
+  const pickable = games.filter(g => g.override !== 'void' && g.phase !== 'canceled');
+  const firstGame = games.reduce((a, b) => (Date.parse(b.date) < Date.parse(a.date) ? b : a));
+  for (const league of await listLeagues()) {
+    const picks = await getAllPicksByWeek(league.id, season, week);
+    const missing = [];
+    for (const c of await listMemberContacts(league.id)) {
+      const picked = new Set(picks.filter(p => p.user === c.user).map(p => p.event_id));
+      const left = pickable.filter(g => !picked.has(g.id)).length;
+      if (left) missing.push({ user: c.user, email: c.email, left, total: pickable.length });
+    }
+    if (!missing.length) continue;
+    await sendOnce({ kind: 'reminder', league_id: league.id, season, week },
+      () => reminderMessage({ league, weekLabel: weekLabel(week), firstGame, missing }));
+  }
+}
+
+async function sendRecaps(season, week) {
+  for (const league of await listLeagues()) {
+    const picks = await getAllPicksByWeek(league.id, season, week);
+    if (!picks.length) continue;
+    await sendOnce({ kind: 'recap', league_id: league.id, season, week }, async () => {
+      const rules = await leagueRules(league.id, season);
+      const spread = { againstSpread: rules.againstSpread };
+      const [games, results, seasonGames, seasonResults, seasonPicks, contacts, board] = await Promise.all([
+        listWeekGames(season, week),
+        getWeekResults(season, week, spread),
+        listSeasonGames(season),
+        getSeasonResults(season, spread),
+        getAllPicksBySeason(league.id, season),
+        listMemberContacts(league.id),
+        weekScoreboard(league.id, season, week, null, { revealAll: true }),
+      ]);
+      const recap = weeklyRecap({ rules, week, games, results, standings: board.standings, seasonGames, seasonResults, seasonPicks });
+      return recapMessage({ league, weekLabel: weekLabel(week), recap, contacts });
+    });
+  }
+}
+
+// Send the notification `key` names unless it already went out. Each part (a channel, or a
+// recipient on email; see lib/notify.js) is recorded on its own, so a failed part is
+// retried on a later pass without repeating the ones delivered. The message is only built
+// when a part is due.
+async function sendOnce(key, buildMessage) {
+  if (await isNotificationSent(key)) return;
+  const now = provider.now();
+  const rows = await listNotificationDeliveries(key);
+  // Parts not delivered and not given up yet
+  const isWaiting = (d) => !d.delivered_at && !!d.retry_at;
+  const waiting = rows.filter(isWaiting);
+  if (rows.length && !waiting.some(d => Date.parse(d.retry_at) <= now)) {
+    if (!waiting.length) await markNotificationSent(key);
+    return;
+  }
+
+  const state = new Map(rows.map(d => [`${d.channel}|${d.recipient}`, d]));
+  let settled = true;
+  for (const part of notifier.parts(await buildMessage())) {
+    const prev = state.get(`${part.channel}|${part.recipient}`);
+    if (prev && !isWaiting(prev)) continue;
+    if (prev && Date.parse(prev.retry_at) > now) { settled = false; continue; }
+    const attempt = { ...key, channel: part.channel, recipient: part.recipient, attempts: (prev?.attempts || 0) + 1 };
+    try {
+      await part.send();
+      await recordNotificationDelivery({ ...attempt, delivered_at: new Date(now).toISOString() });
+    } catch (e) {
+      const giveUp = attempt.attempts >= MAX_ATTEMPTS;
+      console.error(`Notification via ${part.channel} failed${giveUp ? '; giving up' : ''}`, e.message);
+      const retryAt = giveUp ? null : new Date(now + RETRY_BASE_MS * 2 ** (attempt.attempts - 1)).toISOString();
+      await recordNotificationDelivery({ ...attempt, retry_at: retryAt, last_error: e.message });
+      if (!giveUp) settled = false;
+    }
+  }
+  if (settled) await markNotificationSent(key);
+}
+
+// Keep the current season up to date: weeks with games in progress are polled every
+// couple of minutes, the rest rarely (see lib/scheduler.js)
+export const scheduler = createScheduler({
+  season: () => getSeasonYear(),
+  weeks: () => listWeeks().map(w => w.value),
+  now: () => provider.now(),
+  async loadState(season) {
+    const [games, rows] = await Promise.all([listSeasonGames(season), listWeekFetches(season)]);
+    const fetches = {};
+    for (const r of rows) {
+      const times = [r.last_schedule_fetch_utc, r.last_results_fetch_utc].filter(Boolean).map(t => Date.parse(t));
+      if (times.length) fetches[r.week] = Math.max(...times);
+    }
+    return { games, fetches };
+  },
+  updateWeek: updateResults,
+  async afterTick(season) {
+    await fillAutoPicks(season);
+    await sendNotifications(season);
+  },
+});
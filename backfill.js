@@ -0,0 +1,24 @@
+import { ready } from './db/index.js';
+import { backfillSeason } from './app.js';
+
+// CLI: node backfill.js <season> [<season> ...]
+// Import past seasons' schedules and final results through the configured provider
+// (GAME_PROVIDER), the same as POST /api/admin/backfill.
+const seasons = process.argv.slice(2).map(Number);
+if (!seasons.length || !seasons.every(s => Number.isInteger(s) && s >= 2000)) {
+  console.error('Usage: npm run backfill -- <season> [<season> ...]');
+  process.exit(1);
+}
+
+await ready;
+for (const season of seasons) {
+  try {
+    const weeks = await backfillSeason(season);
+    const games = weeks.reduce((n, w) => n + w.games, 0);
+    const final = weeks.reduce((n, w) => n + w.final, 0);
+    console.log(`Backfilled ${season}: ${weeks.length} weeks, ${games} games (${final} final)`);
+  } catch (e) {
+    console.error(`Backfill of ${season} failed`, e.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  ready, runInTransaction, saveWeekGames, getGame, setGameWinner, upsertPick, addLeagueMember,
+  DEFAULT_LEAGUE_ID,
+} from './index.js';
+import { USERNAME_PATTERN } from '../lib/auth.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Import the legacy db.json store ({ gamesCache, picks, results } keyed `season-week`).
+// It predates leagues, so its picks go into the open league. Players whose name would not
+// pass signup are skipped with their picks.
+export async function importJsonDb(data) {
+  const counts = { games: 0, results: 0, picks: 0, skipped: 0 };
+  const parseKey = (key) => key.split('-').map(Number);
+
+  await runInTransaction(async () => {
+    for (const [key, cache] of Object.entries(data.gamesCache || {})) {
+      const [season, week] = parseKey(key);
+      const games = Array.isArray(cache?.games) ? cache.games : [];
+      await saveWeekGames(season, week, games);
+      counts.games += games.length;
+    }
+
+    for (const weekResults of Object.values(data.results || {})) {
+      for (const [gameId, side] of Object.entries(weekResults || {})) {
+        const g = await getGame(String(gameId));
+        if (!g || (side !== 'home' && side !== 'away')) { counts.skipped++; continue; }
+        await setGameWinner(g.event_id, side === 'home' ? g.home_team_id : g.away_team_id);
+        counts.results++;
+      }
+    }
+
+    for (const [key, users] of Object.entries(data.picks || {})) {
+      const [season, week] = parseKey(key);
+      for (const [user, arr] of Object.entries(users || {})) {
+        const list = Array.isArray(arr) ? arr : [];
+        if (!USERNAME_PATTERN.test(user)) { counts.skipped += list.length; continue; }
+        await addLeagueMember(DEFAULT_LEAGUE_ID, user);
+        for (const p of list) {
+          const g = await getGame(String(p.gameId));
+          if (!g || (p.pick !== 'home' && p.pick !== 'away')) { counts.skipped++; continue; }
+          try {
+            await upsertPick({
+              league_id: DEFAULT_LEAGUE_ID,
+              user, season, week,
+              event_id: g.event_id,
+              picked_team_id: p.pick === 'home' ? g.home_team_id : g.away_team_id,
+              confidence: Number(p.confidence),
+            });
+            counts.picks++;
+          } catch (e) {
+            // duplicate confidence for the same user/week
+            counts.skipped++;
+          }
+        }
+      }
+    }
+  });
+  return counts;
+}
+
+// One-time import: after a successful run the file is renamed so it is not imported again
+export async function importJsonFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  await ready;
+  const counts = await importJsonDb(data);
+  fs.renameSync(filePath, `${filePath}.imported`);
+  return counts;
+}
+
+// CLI: node db/import-json.js [path/to/db.json]
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const file = path.resolve(process.argv[2] || path.join(path.dirname(__filename), '..', 'db.json'));
+  importJsonFile(file)
+    .then((counts) => console.log(`Imported ${file}:`, counts))
+    .catch((e) => { console.error('Import failed', e.message); process.exitCode = 1; });
+}
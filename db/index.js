@@ -1,48 +1,95 @@
 import sqlite3 from 'sqlite3';
 import fs from 'fs';
+import { AsyncLocalStorage } from 'async_hooks';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { migrations } from './migrations.js';
+import { normalizeStatus, isFinalStatus } from '../lib/status.js';
 
 sqlite3.verbose();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const dbPath = path.join(__dirname, '..', 'data.db');
+// DB_PATH overrides the location; ':memory:' gives a throwaway database (tests)
+const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'data.db');
 const schemaPath = path.join(__dirname, 'schema.sql');
 
 export const db = new sqlite3.Database(dbPath);
 
 const schemaSql = fs.readFileSync(schemaPath, 'utf8');
-db.serialize(() => {
-  db.run('PRAGMA journal_mode = WAL;');
-  db.exec(schemaSql);
+
+// Every request shares the one connection, so a statement issued while a transaction is
+// open would become part of it (and be lost if it rolls back). Statements and
+// transactions therefore take turns on a queue; the statements of the open transaction,
+// recognised through `transaction`, run straight away.
+const transaction = new AsyncLocalStorage();
+let queue = Promise.resolve();
+const enqueue = (fn) => {
+  const next = queue.then(fn);
+  queue = next.catch(() => {});
+  return next;
+};
+const onConnection = (fn) => (transaction.getStore()?.open ? fn() : enqueue(fn));
+
+// Open a transaction around fn, holding the connection until COMMIT or ROLLBACK
+const transact = (fn) => enqueue(() => {
+  const state = { open: true };
+  return transaction.run(state, async () => {
+    await exec('BEGIN');
+    try {
+      const result = await fn();
+      await exec('COMMIT');
+      return result;
+    } catch (e) {
+      try { await exec('ROLLBACK'); } catch {}
+      throw e;
+    } finally {
+      state.open = false;
+    }
+  });
 });
 
 // Promise wrappers
-const run = (sql, params = []) => new Promise((resolve, reject) => {
+const run = (sql, params = []) => onConnection(() => new Promise((resolve, reject) => {
   db.run(sql, params, function (err) {
     if (err) reject(err); else resolve(this);
   });
-});
-const get = (sql, params = []) => new Promise((resolve, reject) => {
+}));
+const get = (sql, params = []) => onConnection(() => new Promise((resolve, reject) => {
   db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
-});
-const all = (sql, params = []) => new Promise((resolve, reject) => {
+}));
+const all = (sql, params = []) => onConnection(() => new Promise((resolve, reject) => {
   db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
-});
+}));
+const exec = (sql) => onConnection(() => new Promise((resolve, reject) => {
+  db.exec(sql, (err) => err ? reject(err) : resolve());
+}));
 
-export const runInTransaction = async (fn) => {
-  await run('BEGIN');
-  try {
-    const result = await fn();
-    await run('COMMIT');
-    return result;
-  } catch (e) {
-    try { await run('ROLLBACK'); } catch {}
-    throw e;
+// Resolves once migrations and the schema have been applied; await before serving requests.
+// A fresh database gets schema.sql as-is; an existing one first runs the migrations
+// past its user_version.
+export const ready = (async () => {
+  await run('PRAGMA journal_mode = WAL;');
+  const existing = await get(`SELECT name FROM sqlite_master WHERE type='table' AND name='games'`);
+  const { user_version: version } = await get('PRAGMA user_version');
+  if (existing) {
+    for (let v = version; v < migrations.length; v++) {
+      await transact(async () => {
+        await exec(migrations[v]);
+        await run(`PRAGMA user_version = ${v + 1}`);
+      });
+    }
   }
-};
+  await exec(schemaSql);
+  await run(`PRAGMA user_version = ${migrations.length}`);
+})();
+
+// Run fn in a transaction. Called from inside one, fn joins it.
+export const runInTransaction = (fn) => (transaction.getStore()?.open ? fn() : transact(fn));
+
+// The open league that predates league support; anyone may pick in it
+export const DEFAULT_LEAGUE_ID = 1;
 
 // Teams
 export async function upsertTeam(t) {
@@ -60,55 +107,664 @@ export async function upsertTeam(t) {
 // Games
 export async function upsertGame(g) {
   const sql = `
-    INSERT INTO games (event_id, season, week, start_utc, status, home_team_id, away_team_id, home_score, away_score, winner_team_id)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO games (event_id, season, week, listed_week, start_utc, status, status_name, home_team_id, away_team_id, home_score, away_score, winner_team_id, favorite,
+                       spread, over_under, odds_details, lock_spread, ats_winner)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(event_id) DO UPDATE SET
+      listed_week=excluded.listed_week,
       start_utc=excluded.start_utc,
       status=excluded.status,
+      status_name=excluded.status_name,
       home_team_id=excluded.home_team_id,
       away_team_id=excluded.away_team_id,
       home_score=excluded.home_score,
       away_score=excluded.away_score,
-      winner_team_id=excluded.winner_team_id
+      winner_team_id=excluded.winner_team_id,
+      favorite=COALESCE(excluded.favorite, games.favorite),
+      spread=COALESCE(excluded.spread, games.spread),
+      over_under=COALESCE(excluded.over_under, games.over_under),
+      odds_details=COALESCE(excluded.odds_details, games.odds_details),
+      lock_spread=COALESCE(games.lock_spread, excluded.lock_spread),
+      ats_winner=excluded.ats_winner
   `;
   await run(sql, [
-    g.event_id, g.season, g.week, g.start_utc, g.status,
-    g.home_team_id, g.away_team_id, g.home_score ?? 0, g.away_score ?? 0,
-    g.winner_team_id ?? null
+    g.event_id, g.season, g.week, g.listed_week ?? g.week, g.start_utc, g.status, g.status_name ?? null,
+    g.home_team_id, g.away_team_id, g.home_score ?? null, g.away_score ?? null,
+    g.winner_team_id ?? null, g.favorite ?? null,
+    g.spread ?? null, g.over_under ?? null, g.odds_details ?? null, g.lock_spread ?? null, g.ats_winner ?? null
   ]);
 }
 
 export function getGamesByWeek(season, week) {
   const sql = `
     SELECT g.*, th.name AS home_name, th.abbreviation AS home_abbr, th.logo AS home_logo,
-           ta.name AS away_name, ta.abbreviation AS away_abbr, ta.logo AS away_logo
+           ta.name AS away_name, ta.abbreviation AS away_abbr, ta.logo AS away_logo,
+           o.result AS override
     FROM games g
     JOIN teams th ON th.espn_id = g.home_team_id
     JOIN teams ta ON ta.espn_id = g.away_team_id
-    WHERE g.season=? AND g.week=?
+    LEFT JOIN game_overrides o ON o.event_id = g.event_id
+    WHERE g.season=? AND g.week=? AND g.excluded=0
     ORDER BY datetime(g.start_utc) ASC, g.event_id
   `;
   return all(sql, [season, week]);
 }
 
+export function getGame(eventId) {
+  return get(`SELECT * FROM games WHERE event_id=?`, [eventId]);
+}
+
+export async function setGameWinner(eventId, winnerTeamId) {
+  await run(`UPDATE games SET status='post', winner_team_id=? WHERE event_id=?`, [winnerTeamId, eventId]);
+}
+
+// Map an ESPN status name onto the pre | in | post states stored in games.status
+export function stateFromStatusName(name) {
+  const phase = normalizeStatus(name);
+  if (phase === 'final') return 'post';
+  if (phase === 'in_progress' || phase === 'suspended') return 'in';
+  return 'pre';
+}
+
+// Store a week of games in the shape returned by fetchWeekGames
+const teamId = (side) => String(side.id);
+
+// Against the spread: the side that covers the home spread, or 'push' when the margin
+// lands on it exactly
+function coveringSide(homeScore, awayScore, spread) {
+  const margin = homeScore + spread - awayScore;
+  return margin > 0 ? 'home' : margin < 0 ? 'away' : 'push';
+}
+
+// Store fetched games. The spread is snapshotted when a game locks (`locked` is set by the
+// caller, or the game has left 'pre') and a final game is decided both straight up and
+// against that snapshot, so later line moves never change a result.
+export async function saveWeekGames(season, week, games) {
+  for (const g of games) {
+    await upsertTeam({ espn_id: teamId(g.home), name: g.home.name, abbreviation: g.home.abbreviation, logo: g.home.logo });
+    await upsertTeam({ espn_id: teamId(g.away), name: g.away.name, abbreviation: g.away.abbreviation, logo: g.away.logo });
+    const final = isFinalStatus(g.status, g.state);
+    let winner = null;
+    if (final && g.home.score != null && g.away.score != null && g.home.score !== g.away.score) {
+      winner = g.home.score > g.away.score ? teamId(g.home) : teamId(g.away);
+    }
+    const stored = await getGame(String(g.id));
+    const spread = g.odds?.spread ?? stored?.spread ?? null;
+    const locked = g.locked || final || (g.state && g.state !== 'pre');
+    const lockSpread = stored?.lock_spread ?? (locked ? stored?.spread ?? spread : null);
+    const scored = final && g.home.score != null && g.away.score != null;
+    const atsWinner = scored && lockSpread != null ? coveringSide(g.home.score, g.away.score, lockSpread) : null;
+    await upsertGame({
+      event_id: String(g.id),
+      season,
+      week,
+      start_utc: g.date,
+      status: g.state || stateFromStatusName(g.status),
+      status_name: g.status,
+      home_team_id: teamId(g.home),
+      away_team_id: teamId(g.away),
+      home_score: g.home.score,
+      away_score: g.away.score,
+      winner_team_id: winner,
+      favorite: g.favorite,
+      spread: g.odds?.spread,
+      over_under: g.odds?.overUnder,
+      odds_details: g.odds?.details,
+      lock_spread: lockSpread,
+      ats_winner: atsWinner,
+    });
+  }
+}
+
+// Inverse of saveWeekGames: rows from getGamesByWeek back into the API shape.
+// `phase` is the normalized status (lib/status.js). `override` is an admin-set result
+// ('home' | 'away' | 'tie' | 'void') or null. `movedToWeek` is set when ESPN now lists the
+// game under another week than the one it is picked in. `odds` is the betting line, with
+// `spread` from the home team's side and `lockSpread` the line taken when the game locked.
+export function gameFromRow(r) {
+  return {
+    id: r.event_id,
+    week: r.week,
+    date: r.start_utc,
+    status: r.status_name || r.status,
+    state: r.status,
+    phase: normalizeStatus(r.status_name, r.status),
+    override: r.override ?? null,
+    movedToWeek: r.listed_week != null && r.listed_week !== r.week ? r.listed_week : null,
+    favorite: r.favorite ?? null,
+    odds: r.spread != null || r.over_under != null || r.odds_details
+      ? { details: r.odds_details ?? null, spread: r.spread ?? null, overUnder: r.over_under ?? null, lockSpread: r.lock_spread ?? null }
+      : null,
+    home: { id: r.home_team_id, name: r.home_name, abbreviation: r.home_abbr, logo: r.home_logo, score: r.home_score },
+    away: { id: r.away_team_id, name: r.away_name, abbreviation: r.away_abbr, logo: r.away_logo, score: r.away_score },
+  };
+}
+
+export async function listWeekGames(season, week) {
+  const rows = await getGamesByWeek(season, week);
+  return rows.map(gameFromRow);
+}
+
+export async function listSeasonGames(season) {
+  const sql = `
+    SELECT g.*, th.name AS home_name, th.abbreviation AS home_abbr, th.logo AS home_logo,
+           ta.name AS away_name, ta.abbreviation AS away_abbr, ta.logo AS away_logo,
+           o.result AS override
+    FROM games g
+    JOIN teams th ON th.espn_id = g.home_team_id
+    JOIN teams ta ON ta.espn_id = g.away_team_id
+    LEFT JOIN game_overrides o ON o.event_id = g.event_id
+    WHERE g.season=? AND g.excluded=0
+    ORDER BY g.week, datetime(g.start_utc) ASC, g.event_id
+  `;
+  return (await all(sql, [season])).map(gameFromRow);
+}
+
+// Seasons with stored games, newest first: [{ season, games, weeks }]
+export function listSeasons() {
+  return all(`
+    SELECT season, COUNT(*) AS games, COUNT(DISTINCT week) AS weeks
+    FROM games WHERE excluded=0
+    GROUP BY season ORDER BY season DESC
+  `);
+}
+
+// Winning side per game; an admin override wins over the provider's result, and tie or
+// void overrides leave the game without a winner. Against the spread the covering side
+// wins (a push has no winner); games without a line fall back to the straight result.
+const RESULTS_SQL = `
+  SELECT event_id, side FROM (
+    SELECT g.event_id, g.season, g.week,
+           CASE
+             WHEN o.result IS NOT NULL THEN o.result
+             WHEN ? AND g.ats_winner IS NOT NULL THEN g.ats_winner
+             WHEN g.winner_team_id IS NULL THEN NULL
+             WHEN g.winner_team_id = g.home_team_id THEN 'home'
+             ELSE 'away'
+           END AS side
+    FROM games g
+    LEFT JOIN game_overrides o ON o.event_id = g.event_id
+  )
+  WHERE side IN ('home', 'away') AND season=?
+`;
+
+// { [event_id]: 'home' | 'away' } for decided games in a week
+export async function getWeekResults(season, week, { againstSpread = false } = {}) {
+  const rows = await all(`${RESULTS_SQL} AND week=?`, [againstSpread ? 1 : 0, season, week]);
+  return Object.fromEntries(rows.map(r => [r.event_id, r.side]));
+}
+
+export async function getSeasonResults(season, { againstSpread = false } = {}) {
+  const rows = await all(RESULTS_SQL, [againstSpread ? 1 : 0, season]);
+  return Object.fromEntries(rows.map(r => [r.event_id, r.side]));
+}
+
+// Reconciliation state of stored games by id, for lib/reconcile.js:
+// { [event_id]: { week, listed_week, excluded, override } }
+export async function getGameSlates(eventIds) {
+  if (!eventIds.length) return {};
+  const sql = `
+    SELECT g.event_id, g.week, g.listed_week, g.excluded, o.result AS override
+    FROM games g
+    LEFT JOIN game_overrides o ON o.event_id = g.event_id
+    WHERE g.event_id IN (${eventIds.map(() => '?').join(',')})
+  `;
+  const rows = await all(sql, eventIds);
+  return Object.fromEntries(rows.map(({ event_id, ...r }) => [event_id, { ...r, excluded: !!r.excluded }]));
+}
+
+// Put a game in another week's slate
+export async function moveGame(eventId, week) {
+  await run(`UPDATE games SET week=? WHERE event_id=?`, [week, eventId]);
+}
+
+// Leave a game out of its week's slate (and every listing and score)
+export async function excludeGame(eventId) {
+  await run(`UPDATE games SET excluded=1 WHERE event_id=?`, [eventId]);
+}
+
+// Delete every league's picks on a game made for `week`, survivor picks included; resolves
+// to the number deleted
+export async function deleteGamePicks(eventId, week) {
+  const { changes } = await run(`DELETE FROM picks WHERE event_id=? AND week=?`, [eventId, week]);
+  const { changes: survivor } = await run(`DELETE FROM survivor_picks WHERE event_id=? AND week=?`, [eventId, week]);
+  return changes + survivor;
+}
+
+// Admin result overrides; result null removes the override
+export async function setGameOverride({ event_id, result, note = null, set_by }) {
+  if (result == null) {
+    await run(`DELETE FROM game_overrides WHERE event_id=?`, [event_id]);
+    return;
+  }
+  const sql = `
+    INSERT INTO game_overrides (event_id, result, note, set_by, set_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(event_id) DO UPDATE SET
+      result=excluded.result, note=excluded.note, set_by=excluded.set_by, set_at=excluded.set_at
+  `;
+  await run(sql, [event_id, result, note, set_by]);
+}
+
+export function getGameOverride(eventId) {
+  return get(`SELECT * FROM game_overrides WHERE event_id=?`, [eventId]);
+}
+
+// Users
+const USER_COLUMNS = 'id, username, role, email, created_at';
+
+export async function createUser({ username, password_hash, role = 'user' }) {
+  const { lastID } = await run(
+    `INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)`,
+    [username, password_hash, role]
+  );
+  return getUserById(lastID);
+}
+
+export function getUserById(id) {
+  return get(`SELECT ${USER_COLUMNS} FROM users WHERE id=?`, [id]);
+}
+
+// Includes password_hash; only for verifying a login
+export function getUserCredentials(username) {
+  return get(`SELECT * FROM users WHERE username=?`, [username]);
+}
+
+export function listUsers() {
+  return all(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`);
+}
+
+export async function countUsers() {
+  const row = await get(`SELECT COUNT(*) AS n FROM users`);
+  return row.n;
+}
+
+// email: an address, or '' to remove it
+export async function setUserEmail(id, email) {
+  await run(`UPDATE users SET email=? WHERE id=?`, [email || null, id]);
+  return getUserById(id);
+}
+
+export async function updateUser(id, { role, password_hash }) {
+  await run(
+    `UPDATE users SET role=COALESCE(?, role), password_hash=COALESCE(?, password_hash) WHERE id=?`,
+    [role ?? null, password_hash ?? null, id]
+  );
+  return getUserById(id);
+}
+
+export async function deleteUser(id) {
+  await runInTransaction(async () => {
+    await run(`DELETE FROM sessions WHERE user_id=?`, [id]);
+    await run(`DELETE FROM users WHERE id=?`, [id]);
+  });
+}
+
+// Sessions
+export async function createSession({ token, user_id, expires_at }) {
+  await run(`INSERT INTO sessions (token, user_id, expires_at) VALUES (?, ?, ?)`, [token, user_id, expires_at]);
+}
+
+export function getSessionUser(token) {
+  const sql = `
+    SELECT u.id, u.username, u.role, u.email, u.created_at
+    FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token=? AND s.expires_at > ?
+  `;
+  return get(sql, [token, new Date().toISOString()]);
+}
+
+export async function deleteSession(token) {
+  await run(`DELETE FROM sessions WHERE token=?`, [token]);
+}
+
+export async function deleteUserSessions(userId) {
+  await run(`DELETE FROM sessions WHERE user_id=?`, [userId]);
+}
+
+// Leagues
+export async function createLeague({ name, invite_code, created_by }) {
+  return runInTransaction(async () => {
+    const { lastID } = await run(
+      `INSERT INTO leagues (name, invite_code, created_by) VALUES (?, ?, ?)`,
+      [name, invite_code, created_by ?? null]
+    );
+    if (created_by) await addLeagueMember(lastID, created_by);
+    return getLeague(lastID);
+  });
+}
+
+export function getLeague(id) {
+  return get(`SELECT * FROM leagues WHERE id=?`, [id]);
+}
+
+export function getLeagueByInviteCode(code) {
+  return get(`SELECT * FROM leagues WHERE invite_code=?`, [String(code).trim().toUpperCase()]);
+}
+
+export async function addLeagueMember(leagueId, user) {
+  await run(`INSERT OR IGNORE INTO league_members (league_id, user) VALUES (?, ?)`, [leagueId, user]);
+}
+
+export async function isLeagueMember(leagueId, user) {
+  return !!(await get(`SELECT 1 FROM league_members WHERE league_id=? AND user=?`, [leagueId, user]));
+}
+
+export function listLeagueMembers(leagueId) {
+  return all(`SELECT user, joined_at FROM league_members WHERE league_id=? ORDER BY joined_at, user`, [leagueId]);
+}
+
+export function listLeagues() {
+  return all(`SELECT * FROM leagues ORDER BY id`);
+}
+
+// Members with their email address (null when they have not given one)
+export function listMemberContacts(leagueId) {
+  const sql = `
+    SELECT m.user, u.email FROM league_members m
+    LEFT JOIN users u ON u.username = m.user
+    WHERE m.league_id=?
+    ORDER BY m.user
+  `;
+  return all(sql, [leagueId]);
+}
+
+// Whether a notification has gone out (every part delivered or given up)
+export async function isNotificationSent({ kind, league_id, season, week }) {
+  const row = await get(
+    `SELECT 1 FROM notifications_sent WHERE kind=? AND league_id=? AND season=? AND week=?`,
+    [kind, league_id, season, week]
+  );
+  return !!row;
+}
+
+export async function markNotificationSent({ kind, league_id, season, week }) {
+  await run(
+    `INSERT OR IGNORE INTO notifications_sent (kind, league_id, season, week) VALUES (?, ?, ?, ?)`,
+    [kind, league_id, season, week]
+  );
+}
+
+// Delivery state of a notification's parts so far
+export function listNotificationDeliveries({ kind, league_id, season, week }) {
+  return all(
+    `SELECT channel, recipient, attempts, delivered_at, retry_at, last_error FROM notification_deliveries
+     WHERE kind=? AND league_id=? AND season=? AND week=?`,
+    [kind, league_id, season, week]
+  );
+}
+
+// Record an attempt at one part of a notification
+export async function recordNotificationDelivery({
+  kind, league_id, season, week, channel, recipient = '', attempts, delivered_at = null, retry_at = null, last_error = null,
+}) {
+  const sql = `
+    INSERT INTO notification_deliveries (kind, league_id, season, week, channel, recipient, attempts, delivered_at, retry_at, last_error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(kind, league_id, season, week, channel, recipient) DO UPDATE SET
+      attempts=excluded.attempts,
+      delivered_at=excluded.delivered_at,
+      retry_at=excluded.retry_at,
+      last_error=excluded.last_error
+  `;
+  await run(sql, [kind, league_id, season, week, channel, recipient, attempts, delivered_at, retry_at, last_error]);
+}
+
+// The default league is always listed; others only once joined
+export function listUserLeagues(user) {
+  const sql = `
+    SELECT l.* FROM leagues l
+    WHERE l.id = ? OR EXISTS (SELECT 1 FROM league_members m WHERE m.league_id = l.id AND m.user = ?)
+    ORDER BY l.id
+  `;
+  return all(sql, [DEFAULT_LEAGUE_ID, user]);
+}
+
+// Scoring rules; null when the league has not set any for the season
+export async function getLeagueRules(leagueId, season) {
+  const row = await get(`SELECT rules_json FROM league_rules WHERE league_id=? AND season=?`, [leagueId, season]);
+  return row ? JSON.parse(row.rules_json) : null;
+}
+
+// [{ league_id, rules }] for every league that has set rules for the season
+export async function listSeasonLeagueRules(season) {
+  const rows = await all(`SELECT league_id, rules_json FROM league_rules WHERE season=? ORDER BY league_id`, [season]);
+  return rows.map(r => ({ league_id: r.league_id, rules: JSON.parse(r.rules_json) }));
+}
+
+export async function saveLeagueRules(leagueId, season, rules) {
+  const sql = `
+    INSERT INTO league_rules (league_id, season, rules_json)
+    VALUES (?, ?, ?)
+    ON CONFLICT(league_id, season) DO UPDATE SET
+      rules_json=excluded.rules_json,
+      updated_at=datetime('now')
+  `;
+  await run(sql, [leagueId, season, JSON.stringify(rules)]);
+}
+
 // Picks
 export async function upsertPick(p) {
   const sql = `
-    INSERT INTO picks (user, season, week, event_id, picked_team_id, confidence)
-    VALUES (?, ?, ?, ?, ?, ?)
-    ON CONFLICT(user, event_id) DO UPDATE SET
+    INSERT INTO picks (league_id, user, season, week, event_id, picked_team_id, confidence, auto)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(league_id, user, event_id) DO UPDATE SET
       picked_team_id=excluded.picked_team_id,
-      confidence=excluded.confidence
+      confidence=excluded.confidence,
+      auto=excluded.auto
   `;
-  await run(sql, [p.user, p.season, p.week, p.event_id, p.picked_team_id, p.confidence]);
+  await run(sql, [p.league_id ?? DEFAULT_LEAGUE_ID, p.user, p.season, p.week, p.event_id, p.picked_team_id, p.confidence, p.auto ? 1 : 0]);
+}
+
+export async function deleteUserPicksByWeek(leagueId, user, season, week) {
+  await run(`DELETE FROM picks WHERE league_id=? AND user=? AND season=? AND week=?`, [leagueId, user, season, week]);
+}
+
+// Picks with the picked side resolved against the game's home/away teams
+const PICKS_WITH_SIDE = `
+  SELECT p.*, CASE WHEN p.picked_team_id = g.home_team_id THEN 'home' ELSE 'away' END AS side
+  FROM picks p
+  JOIN games g ON g.event_id = p.event_id
+`;
+
+export function getUserPicksByWeek(leagueId, user, season, week) {
+  return all(
+    `${PICKS_WITH_SIDE} WHERE p.league_id=? AND p.user=? AND p.season=? AND p.week=? ORDER BY p.confidence DESC`,
+    [leagueId, user, season, week]
+  );
+}
+
+export function getAllPicksByWeek(leagueId, season, week) {
+  return all(
+    `${PICKS_WITH_SIDE} WHERE p.league_id=? AND p.season=? AND p.week=? ORDER BY p.user, p.confidence DESC`,
+    [leagueId, season, week]
+  );
 }
 
-export function getUserPicksByWeek(user, season, week) {
-  return all(`SELECT * FROM picks WHERE user=? AND season=? AND week=?`, [user, season, week]);
+export function getAllPicksBySeason(leagueId, season) {
+  return all(
+    `${PICKS_WITH_SIDE} WHERE p.league_id=? AND p.season=? ORDER BY p.week, p.user, p.confidence DESC`,
+    [leagueId, season]
+  );
 }
 
-export function getAllPicksByWeek(season, week) {
-  return all(`SELECT * FROM picks WHERE season=? AND week=?`, [season, week]);
+// Revision of a user's submitted picks for a week; 0 before the first save
+export async function getPickRevision(leagueId, user, season, week) {
+  const row = await get(
+    `SELECT revision FROM pick_revisions WHERE league_id=? AND user=? AND season=? AND week=?`,
+    [leagueId, user, season, week]
+  );
+  return row ? row.revision : 0;
+}
+
+// Bump the revision and return the new one. With `expected`, only when the stored revision
+// still matches it; null otherwise. Call inside the transaction that changes the picks.
+export async function bumpPickRevision(leagueId, user, season, week, expected = null) {
+  const key = [leagueId, user, season, week];
+  if (expected == null) {
+    await run(`
+      INSERT INTO pick_revisions (league_id, user, season, week, revision) VALUES (?, ?, ?, ?, 1)
+      ON CONFLICT(league_id, user, season, week) DO UPDATE SET revision=revision + 1, updated_at=datetime('now')
+    `, key);
+    return getPickRevision(...key);
+  }
+  const { changes } = expected === 0
+    ? await run(`INSERT OR IGNORE INTO pick_revisions (league_id, user, season, week, revision) VALUES (?, ?, ?, ?, 1)`, key)
+    : await run(
+      `UPDATE pick_revisions SET revision=revision + 1, updated_at=datetime('now') WHERE league_id=? AND user=? AND season=? AND week=? AND revision=?`,
+      [...key, expected]
+    );
+  return changes > 0 ? expected + 1 : null;
+}
+
+// Replace a user's picks for a week; picks are [{ gameId, pick: 'home'|'away', confidence }].
+// Returns the new revision. With `revision` (the one the picks were loaded at) a newer save
+// in between makes it throw a 409 error instead.
+export function saveUserWeekPicks(leagueId, user, season, week, picks, { revision = null } = {}) {
+  return runInTransaction(async () => {
+    const saved = await bumpPickRevision(leagueId, user, season, week, revision);
+    if (saved == null) throw Object.assign(new Error('Picks have changed since they were loaded'), { status: 409 });
+    const games = new Map((await getGamesByWeek(season, week)).map(g => [g.event_id, g]));
+    await deleteUserPicksByWeek(leagueId, user, season, week);
+    for (const p of picks) {
+      const g = games.get(String(p.gameId));
+      if (!g) throw Object.assign(new Error(`Unknown game ${p.gameId} for week ${week}`), { status: 400 });
+      await upsertPick({
+        league_id: leagueId,
+        user, season, week,
+        event_id: g.event_id,
+        picked_team_id: p.pick === 'home' ? g.home_team_id : g.away_team_id,
+        confidence: Number(p.confidence),
+        auto: p.auto,
+      });
+    }
+    return saved;
+  });
+}
+
+// Drafts: { picks, tiebreaker, revision (the one it started from), updatedAt }, or null
+export async function getPickDraft(leagueId, user, season, week) {
+  const row = await get(
+    `SELECT * FROM pick_drafts WHERE league_id=? AND user=? AND season=? AND week=?`,
+    [leagueId, user, season, week]
+  );
+  return row ? { picks: JSON.parse(row.picks_json), tiebreaker: row.tiebreaker, revision: row.base_revision, updatedAt: row.updated_at } : null;
+}
+
+export async function savePickDraft(leagueId, user, season, week, { picks, tiebreaker = null, revision = 0, updatedAt }) {
+  const sql = `
+    INSERT INTO pick_drafts (league_id, user, season, week, picks_json, tiebreaker, base_revision, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(league_id, user, season, week) DO UPDATE SET
+      picks_json=excluded.picks_json,
+      tiebreaker=excluded.tiebreaker,
+      base_revision=excluded.base_revision,
+      updated_at=excluded.updated_at
+  `;
+  await run(sql, [leagueId, user, season, week, JSON.stringify(picks), tiebreaker, revision, updatedAt]);
+}
+
+export async function deletePickDraft(leagueId, user, season, week) {
+  await run(`DELETE FROM pick_drafts WHERE league_id=? AND user=? AND season=? AND week=?`, [leagueId, user, season, week]);
+}
+
+// Survivor picks with the picked side resolved against the game's home/away teams
+export function getSurvivorPicks(leagueId, season) {
+  const sql = `
+    SELECT s.*, CASE WHEN s.team_id = g.home_team_id THEN 'home' ELSE 'away' END AS side
+    FROM survivor_picks s
+    JOIN games g ON g.event_id = s.event_id
+    WHERE s.league_id=? AND s.season=?
+    ORDER BY s.user, s.week
+  `;
+  return all(sql, [leagueId, season]);
+}
+
+export async function saveSurvivorPick({ league_id, user, season, week, event_id, team_id }) {
+  const sql = `
+    INSERT INTO survivor_picks (league_id, user, season, week, event_id, team_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(league_id, user, season, week) DO UPDATE SET
+      event_id=excluded.event_id,
+      team_id=excluded.team_id,
+      picked_at=datetime('now')
+  `;
+  await run(sql, [league_id, user, season, week, event_id, team_id]);
+}
+
+export async function deleteSurvivorPick(leagueId, user, season, week) {
+  await run(`DELETE FROM survivor_picks WHERE league_id=? AND user=? AND season=? AND week=?`, [leagueId, user, season, week]);
+}
+
+// Tiebreakers
+export async function saveTiebreaker(leagueId, user, season, week, total) {
+  if (total == null) {
+    await run(`DELETE FROM tiebreakers WHERE league_id=? AND user=? AND season=? AND week=?`, [leagueId, user, season, week]);
+    return;
+  }
+  const sql = `
+    INSERT INTO tiebreakers (league_id, user, season, week, total_points)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(league_id, user, season, week) DO UPDATE SET total_points=excluded.total_points
+  `;
+  await run(sql, [leagueId, user, season, week, total]);
+}
+
+export async function getTiebreaker(leagueId, user, season, week) {
+  const row = await get(
+    `SELECT total_points FROM tiebreakers WHERE league_id=? AND user=? AND season=? AND week=?`,
+    [leagueId, user, season, week]
+  );
+  return row ? row.total_points : null;
+}
+
+// { [user]: predicted total } for a league week
+export async function getWeekTiebreakers(leagueId, season, week) {
+  const rows = await all(
+    `SELECT user, total_points FROM tiebreakers WHERE league_id=? AND season=? AND week=?`,
+    [leagueId, season, week]
+  );
+  return Object.fromEntries(rows.map(r => [r.user, r.total_points]));
+}
+
+// { [week]: { [user]: total_points } } for a league's season
+export async function getSeasonTiebreakers(leagueId, season) {
+  const rows = await all(
+    `SELECT week, user, total_points FROM tiebreakers WHERE league_id=? AND season=?`,
+    [leagueId, season]
+  );
+  const byWeek = {};
+  for (const r of rows) (byWeek[r.week] ||= {})[r.user] = r.total_points;
+  return byWeek;
+}
+
+// Audit log (append only; triggers in schema.sql reject updates and deletes).
+// before/after are stored as JSON.
+export async function appendAudit({ actor, action, league_id = null, target_user = null, season = null, week = null, event_id = null, before = null, after = null }) {
+  const sql = `
+    INSERT INTO audit_log (actor, action, league_id, target_user, season, week, event_id, before_json, after_json)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  await run(sql, [actor, action, league_id, target_user, season, week, event_id, JSON.stringify(before), JSON.stringify(after)]);
+}
+
+// Newest first; every filter is optional
+export async function listAudit({ league_id, season, week, user, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (league_id != null) { where.push('(league_id=? OR league_id IS NULL)'); params.push(league_id); }
+  if (season != null) { where.push('season=?'); params.push(season); }
+  if (week != null) { where.push('week=?'); params.push(week); }
+  if (user != null) { where.push('(target_user=? OR actor=?)'); params.push(user, user); }
+  const sql = `
+    SELECT * FROM audit_log
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `;
+  const rows = await all(sql, [...params, limit]);
+  return rows.map(({ before_json, after_json, ...r }) => ({ ...r, before: JSON.parse(before_json), after: JSON.parse(after_json) }));
 }
 
 // Week fetch metadata
@@ -127,22 +783,10 @@ export function getWeekFetch(season, week) {
   return get(`SELECT * FROM week_fetch WHERE season=? AND week=?`, [season, week]);
 }
 
-export function getWinnersByWeek(season, week) {
-  return all(`SELECT event_id, winner_team_id FROM games WHERE season=? AND week=?`, [season, week]);
+export function listWeekFetches(season) {
+  return all(`SELECT * FROM week_fetch WHERE season=? ORDER BY week`, [season]);
 }
 
-export function getSeasonTotals(season) {
-  const sql = `
-    SELECT p.user, SUM(p.confidence) AS total
-    FROM picks p
-    JOIN games g ON g.event_id = p.event_id AND g.season = p.season
-    WHERE p.season = ?
-      AND g.status = 'post'
-      AND (
-        (g.home_team_id = p.picked_team_id AND g.home_score > g.away_score) OR
-        (g.away_team_id = p.picked_team_id AND g.away_score > g.home_score)
-      )
-    GROUP BY p.user
-  `;
-  return all(sql, [season]);
+export function getWinnersByWeek(season, week) {
+  return all(`SELECT event_id, winner_team_id FROM games WHERE season=? AND week=?`, [season, week]);
 }
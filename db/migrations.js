@@ -0,0 +1,73 @@
+// Upgrades for databases created by an older schema.sql. A fresh database gets
+// schema.sql directly; an existing one runs every entry past its PRAGMA user_version,
+// then schema.sql. Append only: never edit or reorder an entry once released.
+// Each entry repeats the DDL it needs as it stood when it was written.
+export const migrations = [
+  // 1: leagues; picks are keyed by league, existing picks belong to the open league
+  `
+  ALTER TABLE picks RENAME TO picks_v0;
+  DROP INDEX IF EXISTS uniq_picks_user_week_conf;
+  CREATE TABLE picks (
+    league_id INTEGER NOT NULL DEFAULT 1,
+    user TEXT NOT NULL,
+    season INTEGER NOT NULL,
+    week INTEGER NOT NULL,
+    event_id TEXT NOT NULL,
+    picked_team_id TEXT NOT NULL,
+    confidence INTEGER NOT NULL,
+    PRIMARY KEY (league_id, user, event_id),
+    FOREIGN KEY (league_id) REFERENCES leagues(id),
+    FOREIGN KEY (event_id) REFERENCES games(event_id)
+  );
+  INSERT INTO picks (league_id, user, season, week, event_id, picked_team_id, confidence)
+    SELECT 1, user, season, week, event_id, picked_team_id, confidence FROM picks_v0;
+  DROP TABLE picks_v0;
+  CREATE TABLE IF NOT EXISTS league_members (
+    league_id INTEGER NOT NULL,
+    user TEXT NOT NULL,
+    joined_at TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (league_id, user),
+    FOREIGN KEY (league_id) REFERENCES leagues(id)
+  );
+  INSERT OR IGNORE INTO league_members (league_id, user) SELECT DISTINCT 1, user FROM picks
+  `,
+  // 2: rescheduled and canceled games (lib/reconcile.js)
+  `
+  ALTER TABLE games ADD COLUMN listed_week INTEGER;
+  ALTER TABLE games ADD COLUMN excluded INTEGER NOT NULL DEFAULT 0;
+  UPDATE games SET listed_week = week
+  `,
+  // 3: betting favorites and auto-filled picks (lib/autopick.js)
+  `
+  ALTER TABLE games ADD COLUMN favorite TEXT;
+  ALTER TABLE picks ADD COLUMN auto INTEGER NOT NULL DEFAULT 0
+  `,
+  // 4: betting lines and against-the-spread results
+  `
+  ALTER TABLE games ADD COLUMN spread REAL;
+  ALTER TABLE games ADD COLUMN over_under REAL;
+  ALTER TABLE games ADD COLUMN odds_details TEXT;
+  ALTER TABLE games ADD COLUMN lock_spread REAL;
+  ALTER TABLE games ADD COLUMN ats_winner TEXT
+  `,
+  // 5: email addresses for notifications (lib/notify.js). Databases from before accounts
+  // have no users table yet, so it is created as it stood then.
+  `
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'user',
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    CHECK (role IN ('user','admin'))
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    token TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+  );
+  ALTER TABLE users ADD COLUMN email TEXT
+  `,
+];
@@ -10,14 +10,23 @@ CREATE TABLE IF NOT EXISTS teams (
 CREATE TABLE IF NOT EXISTS games (
   event_id TEXT PRIMARY KEY,
   season INTEGER NOT NULL,
-  week INTEGER NOT NULL,
+  week INTEGER NOT NULL, -- the week the game is picked in
+  listed_week INTEGER, -- the week ESPN lists it under now (differs once rescheduled)
   start_utc TEXT NOT NULL,
   status TEXT NOT NULL, -- pre | in | post
+  status_name TEXT, -- raw ESPN status, e.g. STATUS_FINAL
   home_team_id TEXT NOT NULL,
   away_team_id TEXT NOT NULL,
   home_score INTEGER DEFAULT 0,
   away_score INTEGER DEFAULT 0,
   winner_team_id TEXT,
+  excluded INTEGER NOT NULL DEFAULT 0, -- dropped from its week (see lib/reconcile.js)
+  favorite TEXT, -- betting favorite: home | away
+  spread REAL, -- home team's point spread, negative when favored
+  over_under REAL,
+  odds_details TEXT, -- the line as ESPN shows it, e.g. "KC -3.5"
+  lock_spread REAL, -- spread snapshot taken when the game locked
+  ats_winner TEXT, -- against the lock spread: home | away | push
   CHECK (status IN ('pre','in','post')),
   FOREIGN KEY (home_team_id) REFERENCES teams(espn_id),
   FOREIGN KEY (away_team_id) REFERENCES teams(espn_id)
@@ -25,21 +34,117 @@ CREATE TABLE IF NOT EXISTS games (
 
 CREATE INDEX IF NOT EXISTS idx_games_season_week ON games(season, week);
 
+-- User accounts; picks and league membership refer to users by username
+CREATE TABLE IF NOT EXISTS users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'user',
+  email TEXT, -- for reminders and recaps (lib/notify.js); null when not given
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  CHECK (role IN ('user','admin'))
+);
+
+-- Login sessions (opaque token stored in the session cookie)
+CREATE TABLE IF NOT EXISTS sessions (
+  token TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (datetime('now')),
+  expires_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Leagues (pools); id 1 is the open league every install starts with
+CREATE TABLE IF NOT EXISTS leagues (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  invite_code TEXT NOT NULL UNIQUE,
+  created_by TEXT,
+  created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT OR IGNORE INTO leagues (id, name, invite_code) VALUES (1, 'Open League', 'OPEN');
+
+CREATE TABLE IF NOT EXISTS league_members (
+  league_id INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  joined_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (league_id, user),
+  FOREIGN KEY (league_id) REFERENCES leagues(id)
+);
+
+-- Scoring rules per league and season (JSON, see lib/scoring.js)
+CREATE TABLE IF NOT EXISTS league_rules (
+  league_id INTEGER NOT NULL,
+  season INTEGER NOT NULL,
+  rules_json TEXT NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (league_id, season),
+  FOREIGN KEY (league_id) REFERENCES leagues(id)
+);
+
 -- Picks
 CREATE TABLE IF NOT EXISTS picks (
+  league_id INTEGER NOT NULL DEFAULT 1,
   user TEXT NOT NULL,
   season INTEGER NOT NULL,
   week INTEGER NOT NULL,
   event_id TEXT NOT NULL,
   picked_team_id TEXT NOT NULL,
   confidence INTEGER NOT NULL,
-  PRIMARY KEY (user, event_id),
+  auto INTEGER NOT NULL DEFAULT 0, -- filled in at lock for a player who had no pick
+  PRIMARY KEY (league_id, user, event_id),
+  FOREIGN KEY (league_id) REFERENCES leagues(id),
   FOREIGN KEY (event_id) REFERENCES games(event_id)
 );
 
--- Enforce unique confidence per user/week
-CREATE UNIQUE INDEX IF NOT EXISTS uniq_picks_user_week_conf
-  ON picks(user, season, week, confidence);
+-- Enforce unique confidence per league/user/week
+CREATE UNIQUE INDEX IF NOT EXISTS uniq_picks_league_user_week_conf
+  ON picks(league_id, user, season, week, confidence);
+
+-- Survivor pool picks (lib/survivor.js): one team per player and regular season week,
+-- each team at most once a season
+CREATE TABLE IF NOT EXISTS survivor_picks (
+  league_id INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  season INTEGER NOT NULL,
+  week INTEGER NOT NULL,
+  event_id TEXT NOT NULL,
+  team_id TEXT NOT NULL,
+  picked_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (league_id, user, season, week),
+  UNIQUE (league_id, user, season, team_id),
+  FOREIGN KEY (league_id) REFERENCES leagues(id),
+  FOREIGN KEY (event_id) REFERENCES games(event_id),
+  FOREIGN KEY (team_id) REFERENCES teams(espn_id)
+);
+
+-- Revision of each player's submitted picks for a week, bumped on every save. Clients send
+-- it back (If-Match) so a save made from stale picks is refused instead of overwriting.
+CREATE TABLE IF NOT EXISTS pick_revisions (
+  league_id INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  season INTEGER NOT NULL,
+  week INTEGER NOT NULL,
+  revision INTEGER NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (league_id, user, season, week),
+  FOREIGN KEY (league_id) REFERENCES leagues(id)
+);
+
+-- Autosaved drafts: picks being edited but not submitted yet (JSON, same shape as a save)
+CREATE TABLE IF NOT EXISTS pick_drafts (
+  league_id INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  season INTEGER NOT NULL,
+  week INTEGER NOT NULL,
+  picks_json TEXT NOT NULL,
+  tiebreaker INTEGER,
+  base_revision INTEGER NOT NULL DEFAULT 0, -- pick_revisions.revision the draft started from
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (league_id, user, season, week),
+  FOREIGN KEY (league_id) REFERENCES leagues(id)
+);
 
 -- Fetch metadata per week (throttling of ESPN calls)
 CREATE TABLE IF NOT EXISTS week_fetch (
@@ -49,3 +154,80 @@ CREATE TABLE IF NOT EXISTS week_fetch (
   last_results_fetch_utc TEXT,
   PRIMARY KEY (season, week)
 );
+
+-- Weekly tiebreaker: predicted total points of the week's last game
+CREATE TABLE IF NOT EXISTS tiebreakers (
+  league_id INTEGER NOT NULL,
+  user TEXT NOT NULL,
+  season INTEGER NOT NULL,
+  week INTEGER NOT NULL,
+  total_points INTEGER NOT NULL,
+  PRIMARY KEY (league_id, user, season, week),
+  FOREIGN KEY (league_id) REFERENCES leagues(id)
+);
+
+-- Admin result overrides: win over the provider's result. 'void' (no contest) removes the
+-- game from scoring; 'tie' scores it as a tie.
+CREATE TABLE IF NOT EXISTS game_overrides (
+  event_id TEXT PRIMARY KEY,
+  result TEXT NOT NULL CHECK (result IN ('home', 'away', 'tie', 'void')),
+  note TEXT,
+  set_by TEXT NOT NULL,
+  set_at TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (event_id) REFERENCES games(event_id)
+);
+
+-- Notifications already sent, so each reminder and recap goes out once per league and week.
+-- A notification is sent once every part of it was delivered or given up.
+CREATE TABLE IF NOT EXISTS notifications_sent (
+  kind TEXT NOT NULL, -- reminder | recap
+  league_id INTEGER NOT NULL,
+  season INTEGER NOT NULL,
+  week INTEGER NOT NULL,
+  sent_at TEXT NOT NULL DEFAULT (datetime('now')),
+  PRIMARY KEY (kind, league_id, season, week)
+);
+
+-- Delivery of each part of a notification: one per channel, or per recipient on channels
+-- that write to players one by one (smtp). A failed part is retried at retry_at; one that
+-- is neither delivered nor due again has been given up.
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  kind TEXT NOT NULL,
+  league_id INTEGER NOT NULL,
+  season INTEGER NOT NULL,
+  week INTEGER NOT NULL,
+  channel TEXT NOT NULL,
+  recipient TEXT NOT NULL DEFAULT '', -- '' when the part is the whole message
+  attempts INTEGER NOT NULL,
+  delivered_at TEXT,
+  retry_at TEXT,
+  last_error TEXT,
+  PRIMARY KEY (kind, league_id, season, week, channel, recipient)
+);
+
+-- Audit log of pick saves and admin changes. Append only.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  at TEXT NOT NULL DEFAULT (datetime('now')),
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  league_id INTEGER,
+  target_user TEXT,
+  season INTEGER,
+  week INTEGER,
+  event_id TEXT,
+  before_json TEXT,
+  after_json TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_week ON audit_log(season, week);
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append only');
+END;
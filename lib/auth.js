@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { createSession, getSessionUser, deleteSession } from '../db/index.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const SESSION_COOKIE = 'sid';
+// Usernames allowed at signup (and for imported players)
+export const USERNAME_PATTERN = /^[\w .-]{1,32}$/;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Stored as scrypt$<salt hex>$<hash hex>
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+export async function startSession(req, res, user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await createSession({ token, user_id: user.id, expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString() });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL_MS,
+    path: '/',
+  });
+}
+
+export async function endSession(req, res) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (token) await deleteSession(token);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Attaches req.user ({ id, username, role }) when the request carries a valid session
+export async function authenticate(req, res, next) {
+  try {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    req.user = token ? (await getSessionUser(token)) || null : null;
+    next();
+  } catch (e) {
+    next(e);
+  }
+}
+
+export function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin only' });
+  next();
+}
@@ -0,0 +1,29 @@
+// Automatic picks for players who missed a game, filled in when the game locks according
+// to the league's autoPick rule (lib/scoring.js):
+//   home:      the home team
+//   favorite:  the betting favorite, or the home team when there are no odds
+//   consensus: the side most of the league picked, or the favorite when nobody did (or level)
+// The confidence is the lowest value of the week's range the player has not used yet.
+
+// { pick, confidence } or null when the rule fills nothing or no value is left.
+//   game:       the locked game ({ id, favorite })
+//   userPicks:  the player's picks for the week ({ event_id, confidence })
+//   gamePicks:  everyone's picks on this game ({ side })
+//   range:      allowed confidence values for the week, highest first
+export function chooseAutoPick(rule, { game, userPicks, gamePicks, range }) {
+  if (!rule || rule === 'none') return null;
+  const used = new Set(userPicks.map(p => Number(p.confidence)));
+  const free = range.filter(v => !used.has(v));
+  if (!free.length) return null;
+  const confidence = free[free.length - 1];
+
+  const favorite = game.favorite || 'home';
+  let pick = 'home';
+  if (rule === 'favorite') pick = favorite;
+  if (rule === 'consensus') {
+    const home = gamePicks.filter(p => p.side === 'home').length;
+    const away = gamePicks.filter(p => p.side === 'away').length;
+    pick = home > away ? 'home' : away > home ? 'away' : favorite;
+  }
+  return { pick, confidence };
+}
@@ -0,0 +1,11 @@
+import fs from 'fs';
+
+// Appends each notification to a file as one JSON line
+export function createFileChannel({ file }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.appendFile(file, `${JSON.stringify({ at: new Date().toISOString(), ...message })}\n`);
+    },
+  };
+}
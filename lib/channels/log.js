@@ -0,0 +1,10 @@
+// Prints notifications to the server log; the default channel, handy for local testing
+export function createLogChannel({ log = console } = {}) {
+  return {
+    name: 'log',
+    async send({ subject, text, recipients }) {
+      const to = recipients.length ? ` (to ${recipients.map(r => r.user).join(', ')})` : '';
+      log.log(`[notify] ${subject}${to}\n${text}`);
+    },
+  };
+}
@@ -0,0 +1,18 @@
+import axios from 'axios';
+
+// Discord rejects messages longer than this
+const MAX_LENGTH = 2000;
+
+// Posts the league-wide text to a chat webhook. Slack reads `text` and Discord `content`,
+// so both are sent. The webhook is one room shared by everyone in it, hence `shared`.
+export function createWebhookChannel({ url, timeout = 10000 }) {
+  return {
+    name: 'webhook',
+    shared: true,
+    async send({ subject, text }) {
+      let body = `**${subject}**\n${text}`;
+      if (body.length > MAX_LENGTH) body = `${body.slice(0, MAX_LENGTH - 1)}…`;
+      await axios.post(url, { text: body, content: body }, { timeout });
+    },
+  };
+}
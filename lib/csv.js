@@ -0,0 +1,52 @@
+// Minimal CSV (RFC 4180) for exports and imports: comma separated, fields quoted when
+// they contain a comma, quote or newline, with quotes doubled.
+
+function csvField(value) {
+  if (value == null) return '';
+  let s = String(value);
+  // Spreadsheets run text starting with one of these as a formula; a leading ' keeps it
+  // text. Numbers are left alone so negative points stay numbers.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// columns: [key]; rows: [{ [key]: value }]. Header line first, CRLF line endings.
+export function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvField(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Parse CSV text with a header line into [{ [header]: value }]. Header names are
+// trimmed and lowercased; blank lines are skipped.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      record.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      record.push(field); field = '';
+      records.push(record); record = [];
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+
+  const nonBlank = records.filter(r => r.some(f => f.trim() !== ''));
+  if (!nonBlank.length) return [];
+  const header = nonBlank[0].map(h => h.trim().toLowerCase());
+  return nonBlank.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? '').trim()])));
+}
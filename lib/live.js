@@ -0,0 +1,43 @@
+// Server-Sent Events hub. Each browser subscribes to one league/season/week; publish()
+// builds a payload per subscriber so viewer-specific data (hidden picks) stays private.
+const KEEPALIVE_MS = 25 * 1000;
+
+export function createLiveHub() {
+  const clients = new Set();
+
+  function send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // topic: { league, season, week, user }
+  function subscribe(req, res, topic) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+    const client = { res, topic };
+    clients.add(client);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      clients.delete(client);
+    });
+  }
+
+  // Send `event` to subscribers of season/week; build(topic) returns the data for each
+  async function publish(season, week, event, build) {
+    for (const client of clients) {
+      const { topic } = client;
+      if (topic.season !== season || topic.week !== week) continue;
+      try {
+        send(client.res, event, await build(topic));
+      } catch (e) {
+        console.error('live publish failed', e.message);
+      }
+    }
+  }
+
+  return { subscribe, publish, size: () => clients.size };
+}
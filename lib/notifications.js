@@ -0,0 +1,117 @@
+import { pickOutcome, pickPoints, scoreSeason } from './scoring.js';
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+// { [user]: rank } from { [user]: points }; level totals share a rank
+export function rankTotals(totals) {
+  const rows = Object.entries(totals).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const ranks = {};
+  rows.forEach(([user, points], i) => {
+    const prev = rows[i - 1];
+    ranks[user] = prev && prev[1] === points ? ranks[prev[0]] : i + 1;
+  });
+  return ranks;
+}
+
+// Reminder before a week's first lock for players with games left to pick.
+//   missing:   [{ user, email, left, total }] players with picks still to make
+//   firstGame: the week's first game to kick off
+export function reminderMessage({ league, weekLabel, firstGame, missing }) {
+  const kickoff = new Date(firstGame.date).toUTCString();
+  const matchup = `${firstGame.away.abbreviation} @ ${firstGame.home.abbreviation}`;
+  const subject = `${league.name}: ${weekLabel} picks lock soon`;
+  const text = [
+    `${weekLabel} picks start locking at ${kickoff} (${matchup}).`,
+    `Still to pick: ${missing.map(m => `${m.user} (${m.left} of ${m.total})`).join(', ')}.`,
+  ].join('\n');
+  return {
+    kind: 'reminder',
+    league: league.id,
+    subject,
+    text,
+    recipients: missing.map(m => ({
+      user: m.user,
+      email: m.email,
+      text: `Hi ${m.user}, you have ${m.left} of ${m.total} ${weekLabel} games left to pick in ${league.name}. ` +
+        `Picks lock at each game's kickoff; the first one (${matchup}) starts at ${kickoff}.`,
+    })),
+  };
+}
+
+// Everything a weekly recap reports, once the week is final:
+//   winners:  users ranked first in the week
+//   week:     the week's standings [{ user, points, rank }]
+//   season:   season standings after the week [{ user, points, rank, change }], where change
+//             is places gained since the week before (null for a first week)
+//   best:     the correct pick with the highest confidence, worst: the wrong one
+// seasonPicks are the league's picks for the whole season; later weeks are ignored.
+export function weeklyRecap({ rules, week, games, results, standings, seasonGames, seasonResults, seasonPicks }) {
+  const before = scoreSeason(rules, seasonGames, seasonResults, seasonPicks.filter(p => p.week < week));
+  const after = scoreSeason(rules, seasonGames, seasonResults, seasonPicks.filter(p => p.week <= week));
+  const ranksBefore = rankTotals(before);
+  const ranksAfter = rankTotals(after);
+  const season = Object.entries(after)
+    .map(([user, points]) => ({
+      user,
+      points,
+      rank: ranksAfter[user],
+      change: ranksBefore[user] != null ? ranksBefore[user] - ranksAfter[user] : null,
+    }))
+    .sort((a, b) => a.rank - b.rank || a.user.localeCompare(b.user));
+
+  const byId = new Map(games.map(g => [g.id, g]));
+  let best = null;
+  let worst = null;
+  for (const p of seasonPicks) {
+    const game = p.week === week && byId.get(p.event_id);
+    if (!game) continue;
+    const outcome = pickOutcome(p.side, game, results);
+    const pick = { user: p.user, team: game[p.side].abbreviation, confidence: p.confidence, points: pickPoints(rules, outcome, p.confidence, week) };
+    if (outcome === 'correct' && (!best || p.confidence > best.confidence)) best = pick;
+    if (outcome === 'incorrect' && (!worst || p.confidence > worst.confidence)) worst = pick;
+  }
+
+  return {
+    winners: standings.filter(r => r.rank === 1).map(r => r.user),
+    week: standings.map(r => ({ user: r.user, points: r.points, rank: r.rank })),
+    season,
+    best,
+    worst,
+  };
+}
+
+// Message for a weekly recap; each recipient's email leads with their own finish
+export function recapMessage({ league, weekLabel, recap, contacts }) {
+  const movement = (c) => (c == null ? '' : c > 0 ? ` (up ${c})` : c < 0 ? ` (down ${-c})` : '');
+  const top = recap.week[0];
+  const lines = [
+    `${recap.winners.length > 1 ? 'Winners' : 'Winner'}: ${recap.winners.join(', ')} with ${top.points} points`,
+    `Week: ${recap.week.map(r => `${r.rank}. ${r.user} ${r.points}`).join(' · ')}`,
+    `Season: ${recap.season.map(r => `${r.rank}. ${r.user} ${r.points}${movement(r.change)}`).join(' · ')}`,
+  ];
+  if (recap.best) lines.push(`Best pick: ${recap.best.user} on ${recap.best.team} for ${recap.best.confidence}`);
+  if (recap.worst) lines.push(`Worst pick: ${recap.worst.user} on ${recap.worst.team} for ${recap.worst.confidence}`);
+  const text = lines.join('\n');
+
+  const weekRows = new Map(recap.week.map(r => [r.user, r]));
+  const seasonRows = new Map(recap.season.map(r => [r.user, r]));
+  return {
+    kind: 'recap',
+    league: league.id,
+    subject: `${league.name}: ${weekLabel} recap`,
+    text,
+    recipients: contacts.filter(c => weekRows.has(c.user)).map(c => {
+      const w = weekRows.get(c.user);
+      const s = seasonRows.get(c.user);
+      return {
+        user: c.user,
+        email: c.email,
+        text: `You finished ${ordinal(w.rank)} of ${recap.week.length} in ${weekLabel} with ${w.points} points` +
+          ` and are ${ordinal(s.rank)} for the season${movement(s.change)}.\n\n${text}`,
+      };
+    }),
+  };
+}
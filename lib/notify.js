@@ -0,0 +1,51 @@
+import { createLogChannel } from './channels/log.js';
+import { createFileChannel } from './channels/file.js';
+import { createWebhookChannel } from './channels/webhook.js';
+import { createSmtpChannel } from './channels/smtp.js';
+
+// Notification delivery, through the channels listed in NOTIFY_CHANNELS (comma separated;
+// default log):
+//   log      print to the server log
+//   file     append JSON lines to NOTIFY_FILE
+//   webhook  post to NOTIFY_WEBHOOK_URL (Slack or Discord incoming webhook); only messages
+//            of `sharedLeague` go there, so private leagues' picks stay out of a shared room
+//   smtp     email players with an address, via SMTP_URL from SMTP_FROM
+// A message is { kind, league, subject, text, recipients: [{ user, email, text }] }: `text` is
+// the league-wide version (chat, log) and a recipient's `text` the personal one (email).
+// Every channel offers name and send(message), `shared` when everyone can read it and
+// `perRecipient` when it writes to each recipient on their own.
+export function createNotifier(env = process.env, { log = console, sharedLeague = null } = {}) {
+  const names = String(env.NOTIFY_CHANNELS || 'log').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const channels = names.map((name) => {
+    if (name === 'log') return createLogChannel({ log });
+    if (name === 'file') {
+      if (!env.NOTIFY_FILE) throw new Error('NOTIFY_FILE is required for the file channel');
+      return createFileChannel({ file: env.NOTIFY_FILE });
+    }
+    if (name === 'webhook') {
+      if (!env.NOTIFY_WEBHOOK_URL) throw new Error('NOTIFY_WEBHOOK_URL is required for the webhook channel');
+      return createWebhookChannel({ url: env.NOTIFY_WEBHOOK_URL });
+    }
+    if (name === 'smtp') {
+      if (!env.SMTP_URL || !env.SMTP_FROM) throw new Error('SMTP_URL and SMTP_FROM are required for the smtp channel');
+      return createSmtpChannel({ url: env.SMTP_URL, from: env.SMTP_FROM });
+    }
+    throw new Error(`Unknown notification channel "${name}"`);
+  });
+
+  return {
+    channels: channels.map(c => c.name),
+    // The parts a message is delivered in, each sent and retried on its own:
+    // [{ channel, recipient, send() }] with one part per channel, or per recipient with an
+    // address on perRecipient channels (recipient is '' for the whole message)
+    parts(message) {
+      return channels
+        .filter(c => !c.shared || message.league === sharedLeague)
+        .flatMap(c => (c.perRecipient
+          ? message.recipients.filter(r => r.email).map(r => ({
+            channel: c.name, recipient: r.user, send: () => c.send({ ...message, recipients: [r] }),
+          }))
+          : [{ channel: c.name, recipient: '', send: () => c.send(message) }]));
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEspnProvider } from './providers/espn.js';
+import { createFixtureProvider } from './providers/fixture.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Game data provider, chosen by GAME_PROVIDER (espn | fixture; default espn).
+// Every provider offers:
+//   name
+//   now()                             current time in ms (simulated for fixtures)
+//   fetchWeekGames({ season, week })  schedule with scores and statuses
+//   fetchResults({ season, week })    same shape; used when polling for results
+//   fetchCurrentWeek()                stored week number in progress, or null
+// The fixture provider adds setTime(time) and advance(ms) to step its clock.
+export function createProvider(env = process.env) {
+  const name = (env.GAME_PROVIDER || 'espn').toLowerCase();
+  if (name === 'fixture') {
+    return createFixtureProvider({
+      dir: path.resolve(env.FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'espn')),
+      startTime: env.FIXTURE_START_TIME,
+    });
+  }
+  if (name === 'espn') return createEspnProvider();
+  throw new Error(`Unknown GAME_PROVIDER "${env.GAME_PROVIDER}"`);
+}
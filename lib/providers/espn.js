@@ -0,0 +1,107 @@
+import axios from 'axios';
+import { espnWeekParams, weekFromEspn } from '../weeks.js';
+
+const SCOREBOARD_URL = 'https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard';
+
+// 'home' | 'away' | null: the betting favorite from ESPN's first odds entry, using the
+// favorite flags or else the team named in `details` (e.g. "KC -3.5")
+function favoriteSide(odds, homeAbbr, awayAbbr) {
+  if (!odds) return null;
+  if (odds.homeTeamOdds?.favorite) return 'home';
+  if (odds.awayTeamOdds?.favorite) return 'away';
+  const team = String(odds.details || '').split(' ')[0];
+  if (team && team === homeAbbr) return 'home';
+  if (team && team === awayAbbr) return 'away';
+  return null;
+}
+
+// The home team's point spread (negative when the home team is favored), from the line in
+// `details` ("KC -3.5", "EVEN") and the favorite, or else ESPN's own `spread` field
+function homeSpread(odds, favorite) {
+  if (!odds) return null;
+  const details = String(odds.details || '').trim();
+  if (/^(EVEN|PK|PICK)/i.test(details)) return 0;
+  const line = Number(details.split(' ').pop());
+  if (details && Number.isFinite(line) && favorite) return favorite === 'home' ? -Math.abs(line) : Math.abs(line);
+  const spread = Number(odds.spread);
+  return odds.spread != null && Number.isFinite(spread) ? spread : null;
+}
+
+// Betting line from ESPN's first odds entry: { details, spread, overUnder } or null
+function parseOdds(odds, favorite) {
+  if (!odds) return null;
+  const overUnder = Number(odds.overUnder);
+  return {
+    details: odds.details || null,
+    spread: homeSpread(odds, favorite),
+    overUnder: odds.overUnder != null && Number.isFinite(overUnder) ? overUnder : null,
+  };
+}
+
+// Games from an ESPN scoreboard payload, in the shape the rest of the app uses
+export function parseScoreboard(data) {
+  const events = Array.isArray(data?.events) ? data.events : [];
+  return events.map((ev) => {
+    const comp = Array.isArray(ev.competitions) ? ev.competitions[0] : {};
+    const competitors = Array.isArray(comp?.competitors) ? comp.competitors : [];
+    const home = competitors.find(c => c.homeAway === 'home') || {};
+    const away = competitors.find(c => c.homeAway === 'away') || {};
+    const homeTeam = home.team || {};
+    const awayTeam = away.team || {};
+    const pickLogo = (team) => team.logo || team.logos?.[0]?.href || '';
+    const favorite = favoriteSide(comp?.odds?.[0], homeTeam.abbreviation, awayTeam.abbreviation);
+    return {
+      id: ev.id,
+      date: ev.date,
+      status: comp?.status?.type?.name || ev?.status?.type?.name || 'STATUS_SCHEDULED',
+      state: comp?.status?.type?.state || ev?.status?.type?.state,
+      favorite,
+      odds: parseOdds(comp?.odds?.[0], favorite),
+      home: {
+        id: home?.id || homeTeam.id,
+        name: homeTeam.shortDisplayName || homeTeam.displayName || homeTeam.name,
+        abbreviation: homeTeam.abbreviation,
+        logo: pickLogo(homeTeam),
+        score: home?.score != null ? Number(home.score) : null,
+      },
+      away: {
+        id: away?.id || awayTeam.id,
+        name: awayTeam.shortDisplayName || awayTeam.displayName || awayTeam.name,
+        abbreviation: awayTeam.abbreviation,
+        logo: pickLogo(awayTeam),
+        score: away?.score != null ? Number(away.score) : null,
+      }
+    };
+  });
+}
+
+// Stored week number the scoreboard payload is showing, or null
+export function weekFromScoreboard(data) {
+  const wk = data?.week?.number;
+  return Number.isInteger(wk) ? weekFromEspn(Number(data?.season?.type), wk) : null;
+}
+
+// Live data from ESPN's public scoreboard API
+export function createEspnProvider({ timeout = 20000 } = {}) {
+  async function fetchWeekGames({ season, week }) {
+    // Regular season seasontype=2, postseason seasontype=3 (see lib/weeks.js).
+    // Use 'year' parameter for season; 'dates' is for specific date filters.
+    const espn = espnWeekParams(week);
+    const url = `${SCOREBOARD_URL}?week=${espn.week}&seasontype=${espn.seasontype}&year=${season}`;
+    const { data } = await axios.get(url, { timeout });
+    return parseScoreboard(data);
+  }
+
+  return {
+    name: 'espn',
+    now: () => Date.now(),
+    fetchWeekGames,
+    // Same endpoint: the scoreboard carries scores and statuses alongside the schedule
+    fetchResults: fetchWeekGames,
+    // Without a week, ESPN answers with the scoreboard currently in progress
+    async fetchCurrentWeek() {
+      const { data } = await axios.get(SCOREBOARD_URL, { timeout });
+      return weekFromScoreboard(data);
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { normalizeStatus } from './status.js';
+
+// Games that leave their week: ESPN moves a postponed game to another week, or cancels
+// it. A game keeps the week it was first listed in (its slate, where it was picked)
+// unless the rule drops it. RESCHEDULED_GAMES picks the rule:
+//   drop: the game leaves its original week and picks on it are deleted; a moved game
+//         joins its new week's slate
+//   void: the game stays in its original week as a no contest; picks on it score nothing
+//   keep: the game stays in its original week and its picks count once it is played
+//         (a canceled game is never played, so its picks score nothing)
+export const RESCHEDULE_RULES = ['drop', 'void', 'keep'];
+
+export function rescheduleRule(env = process.env) {
+  const rule = String(env.RESCHEDULED_GAMES || '').toLowerCase();
+  return RESCHEDULE_RULES.includes(rule) ? rule : 'void';
+}
+
+// Compare a fresh fetch of `week` against the stored rows of the same games.
+//   fetched: games from the provider ({ id, status, state })
+//   stored:  { [id]: { week, listed_week, excluded, override } } for games already stored
+// Returns [{ gameId, kind: 'moved' | 'canceled', fromWeek, toWeek, action }] for changes not
+// handled yet, where action is what to do to the game:
+//   'move'    store it under the new week (drop rule), deleting picks from the old week
+//   'exclude' leave it out of its week's slate (drop rule), deleting its picks
+//   'void'    keep it in its week as a no contest
+//   'keep'    keep it in its original week (listed elsewhere)
+export function planReconcile({ week, fetched, stored, rule }) {
+  const changes = [];
+  for (const g of fetched) {
+    const row = stored[g.id];
+    if (!row) continue;
+    if (normalizeStatus(g.status, g.state) === 'canceled') {
+      if (row.excluded || row.override === 'void') continue;
+      changes.push({ gameId: g.id, kind: 'canceled', fromWeek: row.week, toWeek: null, action: rule === 'drop' ? 'exclude' : 'void' });
+    } else if (row.week !== week && row.listed_week !== week) {
+      const action = rule === 'drop' ? 'move' : rule;
+      changes.push({ gameId: g.id, kind: 'moved', fromWeek: row.week, toWeek: week, action });
+    }
+  }
+  return changes;
+}
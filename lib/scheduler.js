@@ -0,0 +1,121 @@
+import cron from 'node-cron';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Polling intervals per kind of week
+export const LIVE_INTERVAL_MS = 2 * MINUTE; // a game is in progress or about to kick off
+export const CURRENT_INTERVAL_MS = 6 * HOUR; // the current week between game windows
+export const SCHEDULE_INTERVAL_MS = 24 * HOUR; // every other week, for schedule changes
+// Game window: from shortly before kickoff until final, giving up on games that never finish
+const PREGAME_MS = 10 * MINUTE;
+const MAX_GAME_MS = 12 * HOUR;
+// Backoff after provider failures: doubles per consecutive failure, capped
+const BACKOFF_BASE_MS = MINUTE;
+const BACKOFF_MAX_MS = HOUR;
+
+// Postponed, canceled and suspended games are not polled as live; their week still gets
+// its routine refreshes, which pick up a new date or status
+const IDLE_PHASES = ['postponed', 'canceled', 'suspended'];
+
+function isLive(game, now) {
+  if (game.state === 'post' || IDLE_PHASES.includes(game.phase)) return false;
+  if (game.state === 'in') return true;
+  const kickoff = Date.parse(game.date);
+  return Number.isFinite(kickoff) && kickoff - PREGAME_MS <= now && now < kickoff + MAX_GAME_MS;
+}
+
+// Decide which weeks are due for a fetch.
+//   weeks:     every week number of the season
+//   games:     stored games of the season ({ week, movedToWeek, date, state, phase, override })
+//   fetches:   { [week]: last fetch time in ms } (wall clock)
+//   now:       game clock (the provider's, simulated for fixtures)
+//   wallNow:   real time, compared against fetch timestamps
+// Returns [{ week, reason }] with reason 'live' | 'current' | 'schedule'.
+export function planFetches({ weeks, games, fetches, now, wallNow }) {
+  const byWeek = new Map(weeks.map(w => [w, []]));
+  // A rescheduled game is fetched with the week the provider now lists it under
+  for (const g of games) byWeek.get(g.movedToWeek ?? g.week)?.push(g);
+
+  // Current week: the first with a game still to be decided, else the last with games.
+  // Canceled and overridden games count as decided.
+  const open = (g) => g.state !== 'post' && g.phase !== 'canceled' && !g.override;
+  let current = null;
+  for (const w of weeks) {
+    const wg = byWeek.get(w);
+    if (wg.length && wg.some(open)) { current = w; break; }
+    if (wg.length) current = w;
+  }
+
+  const due = [];
+  for (const w of weeks) {
+    const wg = byWeek.get(w);
+    const last = fetches[w] ?? null;
+    let reason = 'schedule';
+    let interval = SCHEDULE_INTERVAL_MS;
+    if (wg.some(g => isLive(g, now))) { reason = 'live'; interval = LIVE_INTERVAL_MS; }
+    else if (w === current) { reason = 'current'; interval = CURRENT_INTERVAL_MS; }
+    if (last == null || wallNow - last >= interval) due.push({ week: w, reason });
+  }
+  // Live weeks first so a slow provider serves them before routine refreshes
+  const order = { live: 0, current: 1, schedule: 2 };
+  return due.sort((a, b) => order[a.reason] - order[b.reason] || a.week - b.week);
+}
+
+// Polls the provider for the current season on a one-minute tick, fetching only the
+// weeks planFetches says are due. Dependencies are injected:
+//   season():                 season to keep updated
+//   weeks():                  week numbers of a season
+//   now():                    game clock in ms
+//   loadState(season):        { games, fetches } as planFetches expects
+//   updateWeek(season, week): fetch and store a week; resolves falsy on failure
+//   afterTick(season):        optional work due every tick (e.g. auto-picks at lock), run
+//                             after the fetches even when the provider failed
+export function createScheduler({ season, weeks, now, loadState, updateWeek, afterTick = async () => {}, log = console }) {
+  let task = null;
+  let running = false;
+  let failures = 0;
+  let pausedUntil = 0;
+
+  async function tick() {
+    if (running || Date.now() < pausedUntil) return;
+    running = true;
+    const s = season();
+    try {
+      const { games, fetches } = await loadState(s);
+      const due = planFetches({ weeks: weeks(s), games, fetches, now: now(), wallNow: Date.now() });
+      for (const { week } of due) {
+        const ok = await updateWeek(s, week);
+        if (!ok) {
+          failures++;
+          const delay = Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+          pausedUntil = Date.now() + delay;
+          log.error(`Scheduler: fetch of ${s} week ${week} failed; retrying in ${Math.round(delay / 1000)}s`);
+          return;
+        }
+        failures = 0;
+      }
+    } catch (e) {
+      log.error('Scheduler tick failed', e.message);
+    } finally {
+      try {
+        await afterTick(s);
+      } catch (e) {
+        log.error('Scheduler afterTick failed', e.message);
+      }
+      running = false;
+    }
+  }
+
+  return {
+    tick,
+    start() {
+      if (!task) task = cron.schedule('* * * * *', tick);
+      return tick();
+    },
+    stop() {
+      if (task) task.stop();
+      task = null;
+    },
+  };
+}
@@ -0,0 +1,239 @@
+import { isPostseasonWeek, playoffMultiplier } from './weeks.js';
+import { confidenceRange as rangeForMode } from '../public/validation.js';
+import { isFinalStatus } from './status.js';
+
+// League scoring rules, stored per league and season. Missing keys fall back to these.
+//   confidence:        'sixteen' = 16 down to 17-N (the original rule), 'games' = N down to 1
+//   tie:               points for a pick on a tied game: 'none' | 'half' | 'full' confidence
+//   missPenalty:       subtract the confidence of a wrong pick
+//   perfectWeekBonus:  extra points when every game of a finished week was picked correctly
+//   playoffMultiplier: applied to all points in postseason weeks
+//   autoPick:          missing picks filled at each game's lock (lib/autopick.js):
+//                      'none' (they score zero) | 'home' | 'favorite' | 'consensus'
+//   againstSpread:     picks win by covering the spread taken at lock (a push scores as a
+//                      tie); games without a line are decided straight up
+export function defaultRules() {
+  return {
+    confidence: 'sixteen',
+    tie: 'none',
+    missPenalty: false,
+    perfectWeekBonus: 0,
+    playoffMultiplier: playoffMultiplier(),
+    autoPick: 'none',
+    againstSpread: false,
+  };
+}
+
+function badRules(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Merge user-supplied rules over the defaults; throws a 400 error on invalid values
+export function normalizeRules(input = {}) {
+  const rules = { ...defaultRules(), ...(input || {}) };
+  if (!['sixteen', 'games'].includes(rules.confidence)) throw badRules('confidence must be sixteen or games');
+  if (!['none', 'half', 'full'].includes(rules.tie)) throw badRules('tie must be none, half or full');
+  rules.missPenalty = rules.missPenalty === true || rules.missPenalty === 'true';
+  rules.againstSpread = rules.againstSpread === true || rules.againstSpread === 'true';
+  rules.perfectWeekBonus = Number(rules.perfectWeekBonus);
+  if (!Number.isFinite(rules.perfectWeekBonus) || rules.perfectWeekBonus < 0) throw badRules('perfectWeekBonus must be 0 or more');
+  rules.playoffMultiplier = Number(rules.playoffMultiplier);
+  if (!Number.isFinite(rules.playoffMultiplier) || rules.playoffMultiplier <= 0) throw badRules('playoffMultiplier must be greater than 0');
+  if (!['none', 'home', 'favorite', 'consensus'].includes(rules.autoPick)) throw badRules('autoPick must be none, home, favorite or consensus');
+  return {
+    confidence: rules.confidence,
+    tie: rules.tie,
+    missPenalty: rules.missPenalty,
+    perfectWeekBonus: rules.perfectWeekBonus,
+    playoffMultiplier: rules.playoffMultiplier,
+    autoPick: rules.autoPick,
+    againstSpread: rules.againstSpread,
+  };
+}
+
+// Allowed confidence values for a week with `count` games, highest first
+export function confidenceRange(rules, count) {
+  return rangeForMode(rules.confidence, count);
+}
+
+// A game is settled once final, or once an admin has overridden its result
+export function isFinal(game) {
+  return !!game.override || isFinalStatus(game.status, game.state);
+}
+
+// Voided games (no contest) count for nothing and are left out of the perfect week
+function isVoid(game) {
+  return game.override === 'void';
+}
+
+// 'correct' | 'incorrect' | 'tie' | 'void' | 'pending' for a pick side against the week's results
+export function pickOutcome(side, game, results) {
+  if (isVoid(game)) return 'void';
+  const winner = results[game.id];
+  if (winner) return winner === side ? 'correct' : 'incorrect';
+  if (isFinal(game)) return 'tie';
+  return 'pending';
+}
+
+export function pickPoints(rules, outcome, confidence, week) {
+  let points = 0;
+  if (outcome === 'correct') points = confidence;
+  else if (outcome === 'tie') points = rules.tie === 'full' ? confidence : rules.tie === 'half' ? confidence / 2 : 0;
+  else if (outcome === 'incorrect' && rules.missPenalty) points = -confidence;
+  return isPostseasonWeek(week) ? points * rules.playoffMultiplier : points;
+}
+
+// Score one week. `picks` are rows with { user, event_id, side, confidence }.
+// Returns { [user]: points } with every user that has picks listed.
+export function scoreWeek(rules, week, games, results, picks) {
+  const byId = new Map(games.map(g => [g.id, g]));
+  const totals = {};
+  const perfect = {};
+  for (const p of picks) {
+    const game = byId.get(p.event_id);
+    if (!(p.user in totals)) { totals[p.user] = 0; perfect[p.user] = 0; }
+    if (!game) continue;
+    const outcome = pickOutcome(p.side, game, results);
+    totals[p.user] += pickPoints(rules, outcome, p.confidence, week);
+    if (outcome === 'correct') perfect[p.user]++;
+  }
+  const weekDone = games.length > 0 && games.every(isFinal);
+  const scored = games.filter(g => !isVoid(g)).length;
+  if (rules.perfectWeekBonus && weekDone) {
+    for (const user of Object.keys(totals)) {
+      if (perfect[user] === scored) totals[user] += pickPoints(rules, 'correct', rules.perfectWeekBonus, week);
+    }
+  }
+  return totals;
+}
+
+// Score a season: sums scoreWeek over every week that has picks
+export function scoreSeason(rules, games, results, picks) {
+  const gamesByWeek = new Map();
+  for (const g of games) {
+    if (!gamesByWeek.has(g.week)) gamesByWeek.set(g.week, []);
+    gamesByWeek.get(g.week).push(g);
+  }
+  const picksByWeek = new Map();
+  for (const p of picks) {
+    if (!picksByWeek.has(p.week)) picksByWeek.set(p.week, []);
+    picksByWeek.get(p.week).push(p);
+  }
+  const totals = {};
+  for (const [week, weekPicks] of picksByWeek) {
+    const weekTotals = scoreWeek(rules, week, gamesByWeek.get(week) || [], results, weekPicks);
+    for (const [user, pts] of Object.entries(weekTotals)) totals[user] = (totals[user] || 0) + pts;
+  }
+  return totals;
+}
+
+// The week's tiebreaker game: the last one to kick off (games come ordered by kickoff)
+export function tiebreakerGame(games) {
+  return games.length ? games[games.length - 1] : null;
+}
+
+// Actual total points of the tiebreaker game, once it is final
+export function tiebreakerTotal(game) {
+  if (!game || !isFinal(game) || isVoid(game) || game.home.score == null || game.away.score == null) return null;
+  return game.home.score + game.away.score;
+}
+
+// Weekly standings: points first, then closeness of the tiebreaker prediction to the
+// actual total. Players still level share a rank. Returns
+// [{ user, points, rank, tiebreaker: { predicted, actual, delta } }] best first.
+export function rankWeek(scores, predictions, actual) {
+  const rows = Object.entries(scores).map(([user, points]) => {
+    const predicted = predictions[user] ?? null;
+    const delta = predicted != null && actual != null ? Math.abs(predicted - actual) : null;
+    return { user, points, tiebreaker: { predicted, actual, delta } };
+  });
+  const deltaKey = (r) => r.tiebreaker.delta ?? Infinity;
+  rows.sort((a, b) => b.points - a.points || deltaKey(a) - deltaKey(b) || a.user.localeCompare(b.user));
+  rows.forEach((r, i) => {
+    const prev = rows[i - 1];
+    r.rank = prev && prev.points === r.points && deltaKey(prev) === deltaKey(r) ? prev.rank : i + 1;
+  });
+  return rows;
+}
+
+// Above this many unresolved games the "alive" enumeration is skipped (2^n outcomes)
+const MAX_ENUMERATED_GAMES = 16;
+
+// Projections for a week in progress. For each user with picks:
+//   earned:      points so far (scoreWeek)
+//   live:        points still at stake on picks of unresolved games
+//   maxPossible: earned + live, plus the perfect week bonus while it is reachable
+//   alive:       true when some home/away outcome of the unresolved games leaves the user
+//                at or above everyone else (level scores go to the tiebreaker); null when
+//                there are too many unresolved games to enumerate
+// Unresolved games are enumerated as wins only; a tie can still change the picture.
+// Returns { [user]: { earned, live, maxPossible, alive } }.
+export function projectWeek(rules, week, games, results, picks) {
+  const earned = scoreWeek(rules, week, games, results, picks);
+  const users = Object.keys(earned);
+  const byId = new Map(games.map(g => [g.id, g]));
+  const pending = games.filter(g => pickOutcome('home', g, results) === 'pending');
+  const pendingIndex = new Map(pending.map((g, i) => [g.id, i]));
+  const weekDone = games.length > 0 && pending.length === 0 && games.every(isFinal);
+  const scored = games.filter(g => !isVoid(g)).length;
+
+  // Per user: points of each pending game by winning side, and resolved correct picks
+  const stats = new Map(users.map(u => [u, {
+    live: 0,
+    correct: 0,
+    gains: pending.map(() => ({ home: 0, away: 0 })),
+    wins: pending.map(() => ({ home: 0, away: 0 })),
+  }]));
+  for (const p of picks) {
+    const game = byId.get(p.event_id);
+    if (!game) continue;
+    const s = stats.get(p.user);
+    const i = pendingIndex.get(game.id);
+    if (i == null) {
+      if (pickOutcome(p.side, game, results) === 'correct') s.correct++;
+      continue;
+    }
+    const other = p.side === 'home' ? 'away' : 'home';
+    s.live += pickPoints(rules, 'correct', p.confidence, week);
+    s.gains[i][p.side] = pickPoints(rules, 'correct', p.confidence, week);
+    s.gains[i][other] = pickPoints(rules, 'incorrect', p.confidence, week);
+    s.wins[i][p.side] = 1;
+  }
+
+  const bonus = rules.perfectWeekBonus ? pickPoints(rules, 'correct', rules.perfectWeekBonus, week) : 0;
+  const projection = {};
+  for (const u of users) {
+    const s = stats.get(u);
+    const perfectReachable = !weekDone && bonus && s.correct + s.wins.filter(w => w.home || w.away).length === scored;
+    projection[u] = {
+      earned: earned[u],
+      live: s.live,
+      maxPossible: earned[u] + s.live + (perfectReachable ? bonus : 0),
+      alive: null,
+    };
+  }
+  if (pending.length > MAX_ENUMERATED_GAMES) return projection;
+
+  // Try every outcome of the pending games (bit i set = away wins game i)
+  const alive = new Set();
+  const totals = new Array(users.length);
+  for (let mask = 0; mask < 2 ** pending.length && alive.size < users.length; mask++) {
+    let best = -Infinity;
+    users.forEach((u, k) => {
+      const s = stats.get(u);
+      let total = earned[u];
+      let correct = s.correct;
+      for (let i = 0; i < pending.length; i++) {
+        const side = mask & (1 << i) ? 'away' : 'home';
+        total += s.gains[i][side];
+        correct += s.wins[i][side];
+      }
+      if (!weekDone && bonus && correct === scored) total += bonus;
+      totals[k] = total;
+      if (total > best) best = total;
+    });
+    users.forEach((u, k) => { if (totals[k] === best) alive.add(u); });
+  }
+  for (const u of users) projection[u].alive = alive.has(u);
+  return projection;
+}
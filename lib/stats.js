@@ -0,0 +1,92 @@
+import { confidenceRange, pickOutcome, pickPoints, scoreWeek, rankWeek } from './scoring.js';
+
+// How many of a week's highest confidence values count as "high confidence"
+const HIGH_CONFIDENCE_TIER = 4;
+
+const pct = (n, d) => (d ? Math.round((n / d) * 1000) / 10 : null);
+
+// Season statistics for one player in a league, from stored picks and results.
+//   games:       the season's games (listSeasonGames)
+//   picks:       the league's pick rows for the season, all players ({ user, week, event_id, side, confidence })
+//   predictions: { [week]: { [user]: tiebreaker prediction } } used to break ranking ties
+//   tiebreakers: { [week]: actual tiebreaker total or null }
+// Returns { user, weeks, accuracy, tiers, homeAway, teams, highConfidenceMisses }.
+export function playerSeasonStats({ rules, user, games, results, picks, predictions = {}, tiebreakers = {} }) {
+  const gamesByWeek = new Map();
+  for (const g of games) {
+    if (!gamesByWeek.has(g.week)) gamesByWeek.set(g.week, []);
+    gamesByWeek.get(g.week).push(g);
+  }
+  const byId = new Map(games.map(g => [g.id, g]));
+  const picksByWeek = new Map();
+  for (const p of picks) {
+    if (!picksByWeek.has(p.week)) picksByWeek.set(p.week, []);
+    picksByWeek.get(p.week).push(p);
+  }
+
+  // Weekly points and rank among the league's players that week
+  const weeks = [];
+  for (const week of [...picksByWeek.keys()].sort((a, b) => a - b)) {
+    const weekGames = gamesByWeek.get(week) || [];
+    const weekPicks = picksByWeek.get(week);
+    if (!weekPicks.some(p => p.user === user)) continue;
+    const scores = scoreWeek(rules, week, weekGames, results, weekPicks);
+    const standings = rankWeek(scores, predictions[week] || {}, tiebreakers[week] ?? null);
+    const row = standings.find(r => r.user === user);
+    weeks.push({ week, points: row.points, rank: row.rank, players: standings.length });
+  }
+
+  const accuracy = { picks: 0, correct: 0, incorrect: 0, tie: 0, void: 0, pending: 0, pct: null };
+  const tiers = new Map();
+  const homeAway = { home: 0, away: 0, homePct: null };
+  const teams = new Map();
+  const misses = { tier: HIGH_CONFIDENCE_TIER, count: 0, pointsLost: 0 };
+
+  for (const p of picks) {
+    if (p.user !== user) continue;
+    const game = byId.get(p.event_id);
+    if (!game) continue;
+    const outcome = pickOutcome(p.side, game, results);
+    accuracy.picks++;
+    accuracy[outcome]++;
+
+    // Accuracy by confidence value (how often the 16s hit)
+    if (!tiers.has(p.confidence)) tiers.set(p.confidence, { confidence: p.confidence, picks: 0, correct: 0, decided: 0 });
+    const tier = tiers.get(p.confidence);
+    tier.picks++;
+    if (outcome === 'correct' || outcome === 'incorrect') tier.decided++;
+    if (outcome === 'correct') tier.correct++;
+
+    homeAway[p.side]++;
+
+    const team = game[p.side];
+    if (!teams.has(team.id)) teams.set(team.id, { team: { id: team.id, name: team.name, abbreviation: team.abbreviation, logo: team.logo }, picks: 0, correct: 0 });
+    const t = teams.get(team.id);
+    t.picks++;
+    if (outcome === 'correct') t.correct++;
+
+    // High confidence misses: the points a wrong pick among the week's top values would have earned
+    if (outcome === 'incorrect') {
+      const range = confidenceRange(rules, (gamesByWeek.get(p.week) || []).length);
+      if (range.slice(0, HIGH_CONFIDENCE_TIER).includes(p.confidence)) {
+        misses.count++;
+        misses.pointsLost += pickPoints(rules, 'correct', p.confidence, p.week);
+      }
+    }
+  }
+  const decided = accuracy.correct + accuracy.incorrect;
+  accuracy.pct = pct(accuracy.correct, decided);
+  homeAway.homePct = pct(homeAway.home, homeAway.home + homeAway.away);
+
+  return {
+    user,
+    weeks,
+    accuracy,
+    tiers: [...tiers.values()]
+      .sort((a, b) => b.confidence - a.confidence)
+      .map(t => ({ confidence: t.confidence, picks: t.picks, correct: t.correct, pct: pct(t.correct, t.decided) })),
+    homeAway,
+    teams: [...teams.values()].sort((a, b) => b.picks - a.picks || a.team.abbreviation.localeCompare(b.team.abbreviation)),
+    highConfidenceMisses: misses,
+  };
+}
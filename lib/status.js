@@ -0,0 +1,20 @@
+// Normalized game phases from ESPN status names (STATUS_FINAL_OVERTIME, STATUS_HALFTIME,
+// STATUS_POSTPONED, ...). The raw name stays on the game as `status`; `phase` is one of:
+export const GAME_PHASES = ['scheduled', 'in_progress', 'final', 'postponed', 'canceled', 'suspended'];
+
+export function normalizeStatus(name, state) {
+  const s = String(name || '').toUpperCase();
+  if (s.includes('FINAL') || s.includes('FORFEIT')) return 'final';
+  if (s.includes('POSTPONED')) return 'postponed';
+  if (s.includes('CANCELED') || s.includes('CANCELLED')) return 'canceled';
+  if (s.includes('SUSPENDED')) return 'suspended';
+  if (!s || s === 'STATUS_SCHEDULED' || s === 'STATUS_TBD') return 'scheduled';
+  // Delays and anything unrecognised follow ESPN's state (pre | in | post)
+  if (state === 'post') return 'final';
+  if (state === 'pre') return 'scheduled';
+  return 'in_progress';
+}
+
+export function isFinalStatus(name, state) {
+  return normalizeStatus(name, state) === 'final';
+}
@@ -0,0 +1,56 @@
+import { pickOutcome } from './scoring.js';
+
+// Survivor (eliminator) side game. Each regular season week a player picks one team that
+// must win, and may use each team once a season. A loss or a tie eliminates the player, and
+// so does a week without a pick once all of that week's games have locked. A voided game
+// (no contest) counts as surviving the week. Players enter with their first pick.
+
+// 'win' | 'loss' | 'pending' for a survivor pick { side } on its game
+export function survivorOutcome(pick, game, results) {
+  const outcome = pickOutcome(pick.side, game, results);
+  if (outcome === 'correct' || outcome === 'void') return 'win';
+  if (outcome === 'incorrect' || outcome === 'tie') return 'loss';
+  return 'pending';
+}
+
+// Standings of a league's survivor pool.
+//   games:       the season's games (listSeasonGames)
+//   picks:       survivor pick rows ({ user, week, event_id, team_id, side })
+//   closedWeeks: weeks whose games have all locked, where a missing pick eliminates
+// Returns [{ user, alive, eliminatedWeek, reason: 'loss' | 'missed' | null, weeksSurvived,
+// picks: [{ week, gameId, teamId, side, outcome }] }], players still alive first, then by how
+// long they lasted.
+export function survivorStandings({ games, results, picks, closedWeeks }) {
+  const byId = new Map(games.map(g => [g.id, g]));
+  const closed = new Set(closedWeeks);
+  const byUser = new Map();
+  for (const p of picks) {
+    if (!byUser.has(p.user)) byUser.set(p.user, new Map());
+    byUser.get(p.user).set(p.week, p);
+  }
+
+  const rows = [];
+  for (const [user, weeks] of byUser) {
+    const row = { user, alive: true, eliminatedWeek: null, reason: null, weeksSurvived: 0, picks: [] };
+    const first = Math.min(...weeks.keys());
+    const last = Math.max(...weeks.keys(), ...closed);
+    for (let week = first; week <= last && row.alive; week++) {
+      const p = weeks.get(week);
+      const game = p && byId.get(p.event_id);
+      if (!game) {
+        if (closed.has(week)) Object.assign(row, { alive: false, eliminatedWeek: week, reason: 'missed' });
+        continue;
+      }
+      const outcome = survivorOutcome(p, game, results);
+      row.picks.push({ week, gameId: game.id, teamId: String(p.team_id), side: p.side, outcome });
+      if (outcome === 'win') row.weeksSurvived++;
+      if (outcome === 'loss') Object.assign(row, { alive: false, eliminatedWeek: week, reason: 'loss' });
+    }
+    rows.push(row);
+  }
+  return rows.sort((a, b) =>
+    Number(b.alive) - Number(a.alive) ||
+    (b.eliminatedWeek ?? 0) - (a.eliminatedWeek ?? 0) ||
+    b.weeksSurvived - a.weeksSurvived ||
+    a.user.localeCompare(b.user));
+}
@@ -0,0 +1,48 @@
+// Week numbering. Regular season weeks are 1..18 (ESPN seasontype=2). Postseason
+// rounds are stored as weeks 19..22 so every week of a season has a distinct key;
+// ESPN numbers them 1..5 under seasontype=3, with week 4 being the Pro Bowl.
+export const REGULAR_SEASON_WEEKS = 18;
+
+export const POSTSEASON_ROUNDS = [
+  { week: 19, espnWeek: 1, label: 'Wild Card' },
+  { week: 20, espnWeek: 2, label: 'Divisional' },
+  { week: 21, espnWeek: 3, label: 'Conference' },
+  { week: 22, espnWeek: 5, label: 'Super Bowl' },
+];
+
+export const LAST_WEEK = POSTSEASON_ROUNDS[POSTSEASON_ROUNDS.length - 1].week;
+
+export function isPostseasonWeek(week) {
+  return week > REGULAR_SEASON_WEEKS;
+}
+
+// [{ value, label, postseason }] for every pickable week of a season
+export function listWeeks() {
+  const regular = Array.from({ length: REGULAR_SEASON_WEEKS }, (_, i) => ({
+    value: i + 1,
+    label: `Week ${i + 1}`,
+    postseason: false,
+  }));
+  const post = POSTSEASON_ROUNDS.map(r => ({ value: r.week, label: r.label, postseason: true }));
+  return [...regular, ...post];
+}
+
+// ESPN scoreboard query params for a stored week number
+export function espnWeekParams(week) {
+  const round = POSTSEASON_ROUNDS.find(r => r.week === week);
+  if (round) return { seasontype: 3, week: round.espnWeek };
+  return { seasontype: 2, week };
+}
+
+// Stored week number for an ESPN { seasontype, week }, or null (preseason, Pro Bowl)
+export function weekFromEspn(seasontype, espnWeek) {
+  if (seasontype === 2 && espnWeek >= 1 && espnWeek <= REGULAR_SEASON_WEEKS) return espnWeek;
+  if (seasontype === 3) return POSTSEASON_ROUNDS.find(r => r.espnWeek === espnWeek)?.week ?? null;
+  return null;
+}
+
+// Default postseason points multiplier for league rules (PLAYOFF_POINT_MULTIPLIER, default 1)
+export function playoffMultiplier() {
+  const m = Number(process.env.PLAYOFF_POINT_MULTIPLIER);
+  return Number.isFinite(m) && m > 0 ? m : 1;
+}
@@ -0,0 +1,56 @@
+// League archive: every season the league played, newest first, with its champion and
+// final standings (/api/archive). Seasons still in progress show standings so far.
+const leagueEl = document.getElementById('league');
+const seasonsEl = document.getElementById('seasons');
+
+// Usernames are set as text, not markup
+function renderSeason(s) {
+  const panel = document.createElement('div');
+  panel.className = 'panel season';
+  const title = document.createElement('h3');
+  title.textContent = s.complete
+    ? `${s.season} · Champion${s.champions.length > 1 ? 's' : ''}: ${s.champions.join(', ')}`
+    : `${s.season} · In progress`;
+  panel.appendChild(title);
+  for (const r of s.standings) {
+    const row = document.createElement('div');
+    row.className = `row${r.rank === 1 && s.complete ? ' champion' : ''}`;
+    row.innerHTML = `<div><span class="rank">${r.rank}.</span> <span class="user"></span></div><div>${r.points}</div>`;
+    row.querySelector('.user').textContent = r.user;
+    panel.appendChild(row);
+  }
+  return panel;
+}
+
+async function loadArchive() {
+  const res = await fetch(`/api/archive?league=${leagueEl.value}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    seasonsEl.innerHTML = `<div class="hint">${data.error || `Failed to load the archive (HTTP ${res.status})`}</div>`;
+    return;
+  }
+  seasonsEl.innerHTML = data.seasons.length ? ''
+    : '<div class="hint">No seasons played yet. Admins can backfill past seasons (<code>npm run backfill -- 2023</code>) and import their picks.</div>';
+  for (const s of data.seasons) seasonsEl.appendChild(renderSeason(s));
+}
+
+leagueEl.addEventListener('change', loadArchive);
+
+(async function init() {
+  const meRes = await fetch('/api/auth/me');
+  if (!meRes.ok) {
+    seasonsEl.innerHTML = '<div class="hint">Sign in on the <a href="/">picks page</a> to see the archive.</div>';
+    return;
+  }
+  const prefs = JSON.parse(localStorage.getItem('prefs') || '{}');
+  const leagues = await (await fetch('/api/leagues')).json();
+  // League names are free text: set as text, not markup
+  for (const l of leagues) {
+    const opt = document.createElement('option');
+    opt.value = String(l.id);
+    opt.textContent = l.name;
+    leagueEl.appendChild(opt);
+  }
+  if (prefs.league && leagues.some(l => l.id === prefs.league)) leagueEl.value = String(prefs.league);
+  await loadArchive();
+})();
@@ -0,0 +1,97 @@
+// Pick form helpers used by script.js. No DOM access at import time so they can be
+// tested under Node.
+import { confidenceRange, validateWeekPicks } from './validation.js';
+
+// Allowed confidence values for a week of `n` games under the league's rules (the
+// 'sixteen' rule when none are loaded): 16 down to (17 - n), or n down to 1
+export function confidenceRangeForCount(rules, n) {
+  return confidenceRange(rules ? rules.confidence : 'sixteen', n);
+}
+
+// First problem with a week's picks as a message, or null. `dualEntry` is set when some
+// game has a value on both teams (those games are left out of `picks`).
+export function validatePicks(picks, games, range, { dualEntry = false } = {}) {
+  if (dualEntry) return 'Choose only one team per game.';
+  // shared with the server: known games, one pick per game, range, duplicates (partial picks allowed)
+  const errors = validateWeekPicks(picks, games, range);
+  return errors.length ? errors[0].message : null;
+}
+
+// Fill a confidence <select> with the values of `range` not already used elsewhere,
+// keeping its own value. The options are only rebuilt when they change.
+export function buildOptions(select, usedSet, range) {
+  const current = select.value ? Number(select.value) : null;
+  const opts = [{ label: '—', value: '' }];
+  for (const v of range) {
+    if (!usedSet.has(v) || v === current) {
+      opts.push({ label: String(v), value: String(v) });
+    }
+  }
+  const prev = Array.from(select.options).map(o => o.value).join(',');
+  const next = opts.map(o => o.value).join(',');
+  if (prev !== next) {
+    select.innerHTML = '';
+    for (const o of opts) {
+      const optEl = select.ownerDocument.createElement('option');
+      optEl.value = o.value;
+      optEl.textContent = o.label;
+      select.appendChild(optEl);
+    }
+    // restore selection if still valid
+    select.value = current != null ? String(current) : '';
+  }
+}
+
+// Ranking mode: games are ordered as cards and the top card gets the highest free value.
+// Order and chosen sides from picks in the getPicksFromUI format: picked games first,
+// highest confidence on top, then the rest in the order given (kickoff order).
+export function rankingFromPicks(gameIds, picks) {
+  const byGame = new Map(picks.map(p => [String(p.gameId), p]));
+  const picked = gameIds.filter(id => byGame.has(id)).sort((a, b) => byGame.get(b).confidence - byGame.get(a).confidence);
+  const rest = gameIds.filter(id => !byGame.has(id));
+  return {
+    order: [...picked, ...rest],
+    sides: Object.fromEntries(picked.map(id => [id, byGame.get(id).pick])),
+  };
+}
+
+// Values left for the ranked cards, highest first: the range minus those held by locked games
+export function rankingValues(range, reserved) {
+  const held = new Set(reserved.map(Number));
+  return range.filter(v => !held.has(v));
+}
+
+// Picks for a ranking: the card at position i gets values[i]. Cards without a chosen side
+// keep their place (and value) but make no pick.
+export function picksFromRanking(order, sides, values) {
+  const picks = [];
+  order.forEach((gameId, i) => {
+    if (sides[gameId] && values[i] != null) picks.push({ gameId, pick: sides[gameId], confidence: values[i] });
+  });
+  return picks;
+}
+
+// Games whose pick differs between two sets of picks (a missing pick counts), as
+// [{ gameId, mine, theirs }] with null for no pick; empty when they match. Used to tell a
+// draft from the submitted picks and to show a save conflict.
+export function diffPicks(mine, theirs) {
+  const key = (p) => `${p.pick}:${Number(p.confidence)}`;
+  const a = new Map(mine.map(p => [String(p.gameId), p]));
+  const b = new Map(theirs.map(p => [String(p.gameId), p]));
+  return [...new Set([...a.keys(), ...b.keys()])]
+    .filter(id => !a.has(id) || !b.has(id) || key(a.get(id)) !== key(b.get(id)))
+    .map(id => ({ gameId: id, mine: a.get(id) || null, theirs: b.get(id) || null }));
+}
+
+// The saved picks a 409 carries ({ picks, tiebreaker, revision }), or null when the server
+// could not read them and sent only { error }
+export function conflictSaved(body) {
+  if (!body || !Array.isArray(body.picks) || !Number.isInteger(body.revision)) return null;
+  return { picks: body.picks, tiebreaker: body.tiebreaker ?? null, revision: body.revision };
+}
+
+// The more recently updated of the browser's and the server's copy of a draft, or null
+export function newerDraft(local, remote) {
+  if (!local || !remote) return local || remote || null;
+  return Date.parse(local.updatedAt) >= Date.parse(remote.updatedAt) ? local : remote;
+}
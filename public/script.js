@@ -1,28 +1,69 @@
-const userEl = document.getElementById('user');
+import { validateWeekPicks } from './validation.js';
+import {
+  confidenceRangeForCount, validatePicks, buildOptions, rankingFromPicks, rankingValues, picksFromRanking,
+  diffPicks, newerDraft, conflictSaved,
+} from './picks.js';
+
+const usernameEl = document.getElementById('username');
+const passwordEl = document.getElementById('password');
+const signedOutEl = document.getElementById('signedOut');
+const signedInEl = document.getElementById('signedIn');
+const whoamiEl = document.getElementById('whoami');
+const adminPanelEl = document.getElementById('adminPanel');
+const adminUsersEl = document.getElementById('adminUsers');
+const adminResultsEl = document.getElementById('adminResults');
+const adminPicksEl = document.getElementById('adminPicks');
+const adminBackfillEl = document.getElementById('adminBackfill');
+const adminAuditEl = document.getElementById('adminAudit');
+const editingBannerEl = document.getElementById('editingBanner');
+const draftBannerEl = document.getElementById('draftBanner');
+const conflictEl = document.getElementById('conflict');
+const leagueEl = document.getElementById('league');
+const newLeagueBtn = document.getElementById('newLeague');
+const joinLeagueBtn = document.getElementById('joinLeague');
+const leagueInfoEl = document.getElementById('leagueInfo');
 const seasonEl = document.getElementById('season');
 const weekEl = document.getElementById('week');
 const loadBtn = document.getElementById('load');
 const saveBtn = document.getElementById('save');
 const gamesEl = document.getElementById('games');
+const rankingEl = document.getElementById('ranking');
+const rankingStatusEl = document.getElementById('rankingStatus');
+const pickModeEl = document.getElementById('pickMode');
 const hintEl = document.getElementById('rangeHint');
 const scoreboardEl = document.getElementById('scoreboard');
 const seasonScoreboardEl = document.getElementById('seasonScoreboard');
 const refreshResultsBtn = document.getElementById('refreshResults');
+const picksGridEl = document.getElementById('picksGrid');
+const tiebreakerRowEl = document.getElementById('tiebreakerRow');
+const tiebreakerGameEl = document.getElementById('tiebreakerGame');
+const tiebreakerEl = document.getElementById('tiebreaker');
 
 let games = [];
+let leagues = [];
+let me = null; // signed-in account { id, username, role, email }
+let rules = null; // scoring rules of the selected league/season (see lib/scoring.js)
 let currentRange = [];
+let adminUsers = []; // accounts, for admins
+let editingUser = null; // admin entering picks on behalf of this player (locks ignored)
+let pickMode = 'dropdowns'; // 'dropdowns' | 'ranking' (drag game cards into order)
+let ranking = { order: [], sides: {} }; // ranking mode: open games top to bottom, chosen sides
+let picksRevision = 0; // revision the picks being edited started from; sent as If-Match on save
+let submitted = { picks: [], tiebreaker: null }; // the week's submitted picks, to tell a draft apart
 
 function restorePrefs() {
   const prefs = JSON.parse(localStorage.getItem('prefs') || '{}');
-  if (prefs.user) userEl.value = prefs.user;
+  if (prefs.league) leagueEl.dataset.pref = String(prefs.league);
   if (prefs.season) seasonEl.value = prefs.season;
   if (prefs.week) weekEl.value = String(prefs.week);
+  if (prefs.pickMode === 'ranking') pickMode = 'ranking';
 }
 function savePrefs() {
   localStorage.setItem('prefs', JSON.stringify({
-    user: userEl.value.trim(),
+    league: Number(leagueEl.value) || null,
     season: Number(seasonEl.value),
     week: Number(weekEl.value),
+    pickMode,
   }));
 }
 
@@ -30,14 +71,17 @@ async function fetchWeekInfo() {
   const res = await fetch('/api/week-info');
   const data = await res.json();
   if (!seasonEl.value) seasonEl.value = data.season;
-  // Populate week dropdown 1..18 and keep previous selection if any
+  // Suggest the seasons in storage (the current one and any backfilled)
+  const seasons = await fetch('/api/seasons').then(r => (r.ok ? r.json() : [])).catch(() => []);
+  document.getElementById('seasons').innerHTML = seasons.map(s => `<option value="${s.season}"></option>`).join('');
+  // Populate week dropdown (regular season, then playoff rounds) and keep previous selection if any
   if (weekEl && weekEl.tagName === 'SELECT') {
     const prev = weekEl.value;
     weekEl.innerHTML = '';
-    for (let i = 1; i <= 18; i++) {
+    for (const w of data.weeks || []) {
       const opt = document.createElement('option');
-      opt.value = String(i);
-      opt.textContent = `Week ${i}`;
+      opt.value = String(w.value);
+      opt.textContent = w.label;
       weekEl.appendChild(opt);
     }
     if (prev) weekEl.value = String(prev);
@@ -49,20 +93,412 @@ async function fetchWeekInfo() {
   return data;
 }
 
-function confidenceRangeForCount(n) {
-  // Highest is 16; produce n values descending from 16 to (17 - n)
-  const start = 16;
-  const min = Math.max(1, 17 - n);
-  const arr = [];
-  for (let v = start; v >= min; v--) arr.push(v);
-  return arr;
+function currentLeague() {
+  return Number(leagueEl.value) || 1;
+}
+
+// Account
+function renderAuth() {
+  signedOutEl.hidden = !!me;
+  signedInEl.hidden = !me;
+  whoamiEl.textContent = me ? me.username : '';
+  if (adminPanelEl) adminPanelEl.hidden = !(me && me.role === 'admin');
+}
+
+async function fetchMe() {
+  const res = await fetch('/api/auth/me');
+  me = res.ok ? await res.json() : null;
+  renderAuth();
+}
+
+async function authenticate(action) {
+  const username = usernameEl.value.trim();
+  const password = passwordEl.value;
+  if (!username || !password) { alert('Enter a username and password'); return; }
+  const res = await fetch(`/api/auth/${action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await res.json();
+  if (!res.ok) { alert(data.error || 'Failed to sign in'); return; }
+  me = data;
+  passwordEl.value = '';
+  renderAuth();
+  await onAccountChange();
+}
+
+async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  me = null;
+  renderAuth();
+  await onAccountChange();
+}
+
+// Email address for pick reminders and weekly recaps; blank removes it
+async function editEmail() {
+  const input = prompt('Email for pick reminders and weekly recaps (leave blank for none)', me.email || '');
+  if (input == null) return;
+  const res = await fetch('/api/auth/me', {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: input.trim() })
+  });
+  const data = await res.json();
+  if (!res.ok) { alert(data.error || 'Failed to save email'); return; }
+  me = data;
+}
+
+async function onAccountChange() {
+  if (editingUser && !(me && me.role === 'admin')) {
+    editingUser = null;
+    editingBannerEl.hidden = true;
+  }
+  await loadLeagues();
+  await refreshAdminUsers();
+  if (weekEl.value) await loadGames();
+}
+
+async function refreshAdminUsers() {
+  if (!adminUsersEl || !me || me.role !== 'admin') return;
+  const res = await fetch('/api/admin/users');
+  const users = res.ok ? await res.json() : [];
+  adminUsers = users;
+  adminUsersEl.innerHTML = '';
+  for (const u of users) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const name = document.createElement('div');
+    name.textContent = u.username;
+    const role = document.createElement('select');
+    for (const r of ['user', 'admin']) {
+      const opt = document.createElement('option');
+      opt.value = r;
+      opt.textContent = r;
+      role.appendChild(opt);
+    }
+    role.value = u.role;
+    role.addEventListener('change', () => updateAdminUser(u.id, { role: role.value }));
+    const reset = document.createElement('button');
+    reset.textContent = 'Reset Password';
+    reset.addEventListener('click', () => {
+      const password = prompt(`New password for ${u.username}`);
+      if (password) updateAdminUser(u.id, { password });
+    });
+    const del = document.createElement('button');
+    del.textContent = 'Delete';
+    del.addEventListener('click', async () => {
+      if (!confirm(`Delete ${u.username}? Their picks are kept.`)) return;
+      const dres = await fetch(`/api/admin/users/${u.id}`, { method: 'DELETE' });
+      if (!dres.ok) alert((await dres.json()).error || 'Failed to delete user');
+      await refreshAdminUsers();
+    });
+    row.append(name, role, reset, del);
+    adminUsersEl.appendChild(row);
+  }
+  renderAdminPicks();
+  renderAdminBackfill();
+}
+
+// Result overrides for the loaded week: provider result, a winner, tie or void (no contest)
+function renderAdminResults() {
+  if (!adminResultsEl || !me || me.role !== 'admin') return;
+  adminResultsEl.innerHTML = games.length ? '' : '<div class="hint">Load a week first.</div>';
+  for (const g of games) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const name = document.createElement('div');
+    name.textContent = `${g.away.abbreviation} @ ${g.home.abbreviation}`;
+    const result = document.createElement('select');
+    for (const [value, label] of [['', 'Provider'], ['away', `${g.away.abbreviation} win`], ['home', `${g.home.abbreviation} win`], ['tie', 'Tie'], ['void', 'Void']]) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      result.appendChild(opt);
+    }
+    result.value = g.override || '';
+    result.addEventListener('change', async () => {
+      const note = result.value ? prompt('Note for the audit log (optional)') : null;
+      const res = await fetch(`/api/admin/games/${g.id}/result`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ result: result.value || null, note })
+      });
+      if (!res.ok) alert((await res.json()).error || 'Failed to override result');
+      await loadGames();
+    });
+    row.append(name, result);
+    adminResultsEl.appendChild(row);
+  }
+}
+
+// Pick a player to enter or fix picks for; the games list then edits their picks
+function renderAdminPicks() {
+  if (!adminPicksEl || !me || me.role !== 'admin') return;
+  adminPicksEl.innerHTML = '';
+  const player = document.createElement('select');
+  for (const u of adminUsers) {
+    const opt = document.createElement('option');
+    opt.value = u.username;
+    opt.textContent = u.username;
+    player.appendChild(opt);
+  }
+  if (editingUser) player.value = editingUser;
+  const edit = document.createElement('button');
+  edit.textContent = 'Edit Picks';
+  edit.addEventListener('click', () => setEditingUser(player.value));
+  adminPicksEl.append(player, edit);
+}
+
+// Import a past season's schedule and results (POST /api/admin/backfill)
+function renderAdminBackfill() {
+  if (!adminBackfillEl || !me || me.role !== 'admin') return;
+  adminBackfillEl.innerHTML = '';
+  const season = document.createElement('input');
+  season.type = 'number';
+  season.min = '2000';
+  season.value = String(Number(seasonEl.value) - 1);
+  const run = document.createElement('button');
+  run.textContent = 'Backfill';
+  run.addEventListener('click', async () => {
+    run.disabled = true;
+    run.textContent = 'Backfilling…';
+    const res = await fetch('/api/admin/backfill', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ season: Number(season.value) }),
+    });
+    const data = await res.json().catch(() => ({}));
+    run.disabled = false;
+    run.textContent = 'Backfill';
+    if (!res.ok) { alert(data.error || 'Backfill failed'); return; }
+    const games = data.weeks.reduce((n, w) => n + w.games, 0);
+    alert(`Backfilled ${data.season}: ${data.weeks.length} weeks, ${games} games`);
+    await fetchWeekInfo();
+  });
+  adminBackfillEl.append(season, run);
+}
+
+async function setEditingUser(username) {
+  editingUser = username || null;
+  editingBannerEl.hidden = !editingUser;
+  editingBannerEl.innerHTML = '';
+  if (editingUser) {
+    editingBannerEl.textContent = `Editing picks for ${editingUser}; locked games can be changed. `;
+    const done = document.createElement('button');
+    done.textContent = 'Done';
+    done.addEventListener('click', () => setEditingUser(null));
+    editingBannerEl.appendChild(done);
+  }
+  if (weekEl.value) await loadGames();
+}
+
+async function refreshAdminAudit() {
+  if (!adminAuditEl || !me || me.role !== 'admin') return;
+  const params = new URLSearchParams({ league: currentLeague(), season: seasonEl.value, week: weekEl.value, limit: 20 });
+  const res = await fetch(`/api/admin/audit?${params}`);
+  const entries = res.ok ? await res.json() : [];
+  const describe = (e) => {
+    if (e.action.startsWith('result.')) {
+      const g = games.find(x => x.id === e.event_id);
+      const name = g ? `${g.away.abbreviation} @ ${g.home.abbreviation}` : e.event_id;
+      return `${name}: ${e.before ? e.before.result : 'provider'} → ${e.after ? e.after.result : 'provider'}${e.after && e.after.note ? ` (${e.after.note})` : ''}`;
+    }
+    const count = (side) => (side && side.picks ? side.picks.length : 0);
+    return `${e.target_user}: ${count(e.before)} → ${count(e.after)} picks`;
+  };
+  adminAuditEl.innerHTML = entries.length ? '' : '<div class="hint">No changes this week.</div>';
+  // Override notes are free text, so rows are built as text rather than markup
+  for (const e of entries) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    const head = document.createElement('div');
+    const when = document.createElement('span');
+    when.className = 'when';
+    when.textContent = new Date(`${e.at}Z`).toLocaleString();
+    const action = document.createElement('span');
+    action.className = 'action';
+    action.textContent = e.action;
+    head.append(when, ` ${e.actor} `, action);
+    const detail = document.createElement('div');
+    detail.textContent = describe(e);
+    row.append(head, detail);
+    adminAuditEl.appendChild(row);
+  }
+}
+
+async function updateAdminUser(id, changes) {
+  const res = await fetch(`/api/admin/users/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+  if (!res.ok) alert((await res.json()).error || 'Failed to update user');
+  await refreshAdminUsers();
+}
+
+async function loadLeagues(selectId) {
+  const res = me ? await fetch('/api/leagues') : null;
+  leagues = res && res.ok ? await res.json() : [];
+  const prev = selectId != null ? String(selectId) : (leagueEl.value || leagueEl.dataset.pref);
+  leagueEl.innerHTML = '';
+  for (const l of leagues) {
+    const opt = document.createElement('option');
+    opt.value = String(l.id);
+    opt.textContent = l.name;
+    leagueEl.appendChild(opt);
+  }
+  if (prev && leagues.some(l => String(l.id) === prev)) leagueEl.value = prev;
+  await refreshLeagueInfo();
+}
+
+async function refreshLeagueInfo() {
+  if (!leagueInfoEl) return;
+  const league = currentLeague();
+  const info = leagues.find(l => l.id === league);
+  if (!info) { leagueInfoEl.textContent = me ? '' : 'Sign in to join leagues.'; return; }
+  const mres = await fetch(`/api/leagues/${league}/members`);
+  const members = mres.ok ? await mres.json() : [];
+  leagueInfoEl.innerHTML = `<div>Invite code: <span class="code">${info.invite_code}</span></div>` +
+    (members.length ? '<ul></ul>' : '<div class="hint">No members yet.</div>');
+  // Usernames are set as text, not markup
+  const list = leagueInfoEl.querySelector('ul');
+  for (const m of members) {
+    const li = document.createElement('li');
+    li.textContent = m.user;
+    list.appendChild(li);
+  }
+  await loadRules();
+  renderRules(info);
+}
+
+async function loadRules() {
+  rules = null;
+  if (!me) return;
+  const res = await fetch(`/api/rules?league=${currentLeague()}&season=${Number(seasonEl.value)}`);
+  if (res.ok) rules = (await res.json()).rules;
+}
+
+function describeRules(r) {
+  const parts = [
+    r.confidence === 'games' ? 'Confidence N..1 by game count' : 'Confidence 16 down',
+    r.tie === 'full' ? 'ties score full points' : r.tie === 'half' ? 'ties score half points' : 'ties score nothing',
+  ];
+  if (r.missPenalty) parts.push('misses lose their confidence');
+  if (r.perfectWeekBonus) parts.push(`perfect week +${r.perfectWeekBonus}`);
+  if (r.playoffMultiplier !== 1) parts.push(`playoffs x${r.playoffMultiplier}`);
+  const autoPick = { home: 'the home team', favorite: 'the favorite', consensus: 'the league consensus' }[r.autoPick];
+  if (autoPick) parts.push(`missing picks go to ${autoPick}`);
+  if (r.againstSpread) parts.push('picks against the spread at kickoff');
+  return parts.join('; ');
+}
+
+// Rules summary for everyone; an editor for the league's creator and admins
+function renderRules(info) {
+  if (!rules) return;
+  const box = document.createElement('div');
+  box.className = 'rules';
+  box.innerHTML = `<div class="hint">Scoring (${Number(seasonEl.value)}): ${describeRules(rules)}</div>`;
+  leagueInfoEl.appendChild(box);
+  if (!me || (info.created_by !== me.username && me.role !== 'admin')) return;
+
+  const form = document.createElement('form');
+  form.className = 'rules-form';
+  form.innerHTML = `
+    <label>Confidence <select name="confidence">
+      <option value="sixteen">16 down</option><option value="games">N..1 (game count)</option>
+    </select></label>
+    <label>Ties <select name="tie">
+      <option value="none">No points</option><option value="half">Half points</option><option value="full">Full points</option>
+    </select></label>
+    <label><input type="checkbox" name="missPenalty"> Misses lose their confidence</label>
+    <label>Perfect week bonus <input type="number" name="perfectWeekBonus" min="0" step="1"></label>
+    <label>Playoff multiplier <input type="number" name="playoffMultiplier" min="0.5" step="0.5"></label>
+    <label>Missing picks <select name="autoPick">
+      <option value="none">Score zero</option><option value="home">Home team</option>
+      <option value="favorite">Favorite</option><option value="consensus">League consensus</option>
+    </select></label>
+    <label><input type="checkbox" name="againstSpread"> Pick against the spread</label>
+    <button type="submit">Save Rules</button>`;
+  form.confidence.value = rules.confidence;
+  form.tie.value = rules.tie;
+  form.missPenalty.checked = rules.missPenalty;
+  form.perfectWeekBonus.value = rules.perfectWeekBonus;
+  form.playoffMultiplier.value = rules.playoffMultiplier;
+  form.autoPick.value = rules.autoPick;
+  form.againstSpread.checked = rules.againstSpread;
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const res = await fetch(`/api/leagues/${info.id}/rules`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        season: Number(seasonEl.value),
+        rules: {
+          confidence: form.confidence.value,
+          tie: form.tie.value,
+          missPenalty: form.missPenalty.checked,
+          perfectWeekBonus: Number(form.perfectWeekBonus.value) || 0,
+          playoffMultiplier: Number(form.playoffMultiplier.value) || 1,
+          autoPick: form.autoPick.value,
+          againstSpread: form.againstSpread.checked,
+        }
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) { alert(data.error || 'Failed to save rules'); return; }
+    await refreshLeagueInfo();
+    if (weekEl.value) await loadGames();
+  });
+  leagueInfoEl.appendChild(form);
+}
+
+async function createLeague() {
+  if (!me) { alert('Sign in first'); return; }
+  const name = (prompt('League name') || '').trim();
+  if (!name) return;
+  const res = await fetch('/api/leagues', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name })
+  });
+  const data = await res.json();
+  if (!res.ok) { alert(data.error || 'Failed to create league'); return; }
+  alert(`Created "${data.name}". Invite code: ${data.invite_code}`);
+  await loadLeagues(data.id);
+  await loadGames();
+}
+
+async function joinLeague() {
+  if (!me) { alert('Sign in first'); return; }
+  const code = (prompt('Invite code') || '').trim();
+  if (!code) return;
+  const res = await fetch('/api/leagues/join', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code })
+  });
+  const data = await res.json();
+  if (!res.ok) { alert(data.error || 'Failed to join league'); return; }
+  await loadLeagues(data.id);
+  await loadGames();
 }
 
 function renderGames() {
   gamesEl.innerHTML = '';
-  currentRange = confidenceRangeForCount(games.length);
+  rankingEl.innerHTML = '';
+  currentRange = confidenceRangeForCount(rules, games.length);
   hintEl.textContent = `Allowed numbers: ${currentRange.join(', ')} (use each at most once)`;
 
+  // Tiebreaker is the week's last game (games arrive ordered by kickoff)
+  const tbGame = games[games.length - 1];
+  tiebreakerRowEl.hidden = !tbGame;
+  tiebreakerEl.value = '';
+  if (tbGame) {
+    tiebreakerGameEl.textContent = `${tbGame.away.abbreviation} @ ${tbGame.home.abbreviation}`;
+    tiebreakerEl.disabled = !!tbGame.locked && !editingUser;
+  }
+
   if (!games.length) {
     const empty = document.createElement('div');
     empty.className = 'hint';
@@ -78,7 +514,7 @@ function renderGames() {
 
     const home = document.createElement('div');
     home.className = 'team home';
-    home.innerHTML = `<img src="${g.home.logo}" alt="${g.home.abbreviation}"><div><div>${g.home.name}</div><div class="status">Home</div></div>`;
+    home.innerHTML = `<img src="${g.home.logo}" alt="${g.home.abbreviation}"><div><div>${g.home.name}</div><div class="status">Home${teamSpread(g, 'home')}</div></div>`;
   const homeInput = document.createElement('select');
   homeInput.className = 'conf-input';
   homeInput.dataset.side = 'home';
@@ -92,7 +528,7 @@ function renderGames() {
     
     const away = document.createElement('div');
     away.className = 'team away';
-    away.innerHTML = `<img src="${g.away.logo}" alt="${g.away.abbreviation}"><div><div>${g.away.name}</div><div class="status">Away</div></div>`;
+    away.innerHTML = `<img src="${g.away.logo}" alt="${g.away.abbreviation}"><div><div>${g.away.name}</div><div class="status">Away${teamSpread(g, 'away')}</div></div>`;
   const awayInput = document.createElement('select');
   awayInput.className = 'conf-input';
   awayInput.dataset.side = 'away';
@@ -106,6 +542,32 @@ function renderGames() {
     const kickoff = document.createElement('div');
     kickoff.className = 'kickoff';
     kickoff.textContent = new Date(g.date).toLocaleString();
+    const odds = oddsLine(g);
+    if (odds) {
+      const line = document.createElement('span');
+      line.className = 'line';
+      line.textContent = odds;
+      kickoff.appendChild(line);
+    }
+    const notice = gameNotice(g);
+    if (notice) {
+      const phase = document.createElement('span');
+      phase.className = 'phase';
+      phase.textContent = notice;
+      kickoff.appendChild(phase);
+    }
+    // Picks lock at kickoff; the server keeps the stored pick for locked games
+    // (admins editing for a player can still change them)
+    if (g.locked && !editingUser) {
+      row.classList.add('locked');
+      homeInput.disabled = true;
+      awayInput.disabled = true;
+      const lock = document.createElement('span');
+      lock.className = 'lock';
+      lock.title = 'Picks are locked for this game';
+      lock.textContent = '🔒 Locked';
+      kickoff.appendChild(lock);
+    }
     row.append(home, away, kickoff);
     gamesEl.appendChild(row);
   }
@@ -120,6 +582,45 @@ function renderGames() {
   // Populate dropdown options initially
   updateAllDropdownOptions();
   updateValidationUI();
+  if (pickMode === 'ranking') startRanking();
+}
+
+// The spread that decides the game: the one taken at lock once there is one
+function gameSpread(g) {
+  if (!g.odds) return null;
+  return g.odds.lockSpread ?? g.odds.spread;
+}
+
+const signed = (n) => (n > 0 ? `+${n}` : n === 0 ? 'PK' : String(n));
+
+// Betting line under the kickoff time, e.g. "KC -3 · O/U 46.5"
+function oddsLine(g) {
+  const spread = gameSpread(g);
+  const parts = [];
+  if (spread === 0) parts.push('Pick\'em');
+  else if (spread != null) parts.push(`${spread < 0 ? g.home.abbreviation : g.away.abbreviation} -${Math.abs(spread)}`);
+  else if (g.odds?.details) parts.push(g.odds.details);
+  if (g.odds?.overUnder != null) parts.push(`O/U ${g.odds.overUnder}`);
+  return parts.join(' · ');
+}
+
+// Against the spread, each side shows the line it has to cover
+function teamSpread(g, side) {
+  const spread = gameSpread(g);
+  if (!rules?.againstSpread || spread == null) return '';
+  return ` ${signed(side === 'home' ? spread : -spread)}`;
+}
+
+// Postponed, canceled, suspended or rescheduled games get a note under the kickoff time
+function gameNotice(g) {
+  const notes = { postponed: 'Postponed', canceled: 'Canceled', suspended: 'Suspended' };
+  const parts = [];
+  if (notes[g.phase]) parts.push(notes[g.phase]);
+  if (g.movedToWeek) {
+    const opt = weekEl.querySelector(`option[value="${g.movedToWeek}"]`);
+    parts.push(`Rescheduled to ${opt ? opt.textContent : `week ${g.movedToWeek}`}`);
+  }
+  return parts.join(' · ');
 }
 
 function onConfidenceChange(e) {
@@ -134,6 +635,7 @@ function onConfidenceChange(e) {
   }
   updateAllDropdownOptions();
   updateValidationUI();
+  onPicksEdited();
 }
 
 function getPicksFromUI() {
@@ -149,24 +651,14 @@ function getPicksFromUI() {
   return picks;
 }
 
-function validatePicks(picks) {
-  const range = currentRange.length ? currentRange : confidenceRangeForCount(games.length);
-  const min = Math.min(...range), max = Math.max(...range);
-  // per-game: not both sides
+// Inputs holding a value for both teams of a game; getPicksFromUI drops those games
+function dualEntryInputs() {
+  const out = [];
   for (const row of gamesEl.querySelectorAll('.game')) {
     const inputs = row.querySelectorAll('.conf-input');
-    if (inputs[0].value && inputs[1].value) return 'Choose only one team per game.';
-  }
-  // duplicates
-  const values = picks.map(p => p.confidence);
-  const set = new Set(values);
-  if (values.length !== set.size) return 'Each confidence value must appear only once.';
-  // range check
-  for (const v of values) {
-    if (v < min || v > max) return `Confidence must be between ${min} and ${max}.`;
+    if (inputs[0].value && inputs[1].value) out.push(inputs[0], inputs[1]);
   }
-  // partial picks allowed
-  return null;
+  return out;
 }
 
 function updateValidationUI() {
@@ -177,50 +669,30 @@ function updateValidationUI() {
   let msg = '';
 
   // per-game dual entry
-  for (const row of gamesEl.querySelectorAll('.game')) {
-    const inputs = row.querySelectorAll('.conf-input');
-    if (inputs[0].value && inputs[1].value) {
-      inputs[0].classList.add('invalid');
-      inputs[1].classList.add('invalid');
-      msg = 'Choose only one team per game.';
-    }
-  }
-
-  // duplicates highlighting
-  const valueMap = new Map();
-  for (const row of gamesEl.querySelectorAll('.game')) {
-    for (const input of row.querySelectorAll('.conf-input')) {
-      const v = input.value && Number(input.value);
-      if (!v) continue;
-      if (!valueMap.has(v)) valueMap.set(v, []);
-      valueMap.get(v).push(input);
-    }
-  }
-  const dups = [...valueMap.entries()].filter(([, arr]) => arr.length > 1);
-  if (dups.length) {
-    for (const [, arr] of dups) arr.forEach(i => i.classList.add('invalid'));
-    msg = msg || 'Each confidence value must appear only once.';
+  const dual = dualEntryInputs();
+  if (dual.length) {
+    dual.forEach(i => i.classList.add('invalid'));
+    msg = 'Choose only one team per game.';
   }
 
-  // out-of-range
-  const range = currentRange.length ? currentRange : confidenceRangeForCount(games.length);
-  const min = Math.min(...range), max = Math.max(...range);
-  for (const input of gamesEl.querySelectorAll('.conf-input')) {
-    const v = input.value && Number(input.value);
-    if (v && (v < min || v > max)) {
-      input.classList.add('invalid');
-      msg = msg || `Confidence must be between ${min} and ${max}.`;
-    }
+  // duplicates and out-of-range values, highlighted on the picked side's input
+  const range = currentRange.length ? currentRange : confidenceRangeForCount(rules, games.length);
+  for (const err of validateWeekPicks(picks, games, range)) {
+    const row = gamesEl.querySelector(`.game[data-game-id="${err.gameId}"]`);
+    const input = row && row.querySelector(`.conf-input[data-side="${picks[err.index].pick}"]`);
+    if (input) input.classList.add('invalid');
+    msg = msg || err.message;
   }
 
   if (errorsEl) errorsEl.textContent = msg;
 }
 
 async function loadGames() {
+  await flushDraft();
   savePrefs();
   const season = Number(seasonEl.value);
   const week = Number(weekEl.value);
-  if (!week) { alert('Enter week 1-18'); return; }
+  if (!week) { alert('Choose a week'); return; }
   const res = await fetch(`/api/games?season=${season}&week=${week}`);
   if (!res.ok) {
     const msg = (await res.json().catch(() => ({}))).error || `Failed to load games (HTTP ${res.status})`;
@@ -229,18 +701,49 @@ async function loadGames() {
   } else {
     games = await res.json();
   }
+  await loadRules();
   renderGames();
   await loadExistingPicks();
   await refreshScoreboard();
+  await refreshPicksGrid();
+  renderAdminResults();
+  await refreshAdminAudit();
+  openLiveStream();
 }
 
 async function loadExistingPicks() {
-  const user = userEl.value.trim();
   const season = Number(seasonEl.value);
   const week = Number(weekEl.value);
-  if (!user) return;
-  const res = await fetch(`/api/picks?user=${encodeURIComponent(user)}&season=${season}&week=${week}`);
-  const picks = await res.json();
+  if (!me) return;
+  let picks = [];
+  conflictEl.hidden = true;
+  showDraftBanner(null);
+  if (editingUser) {
+    const params = new URLSearchParams({ league: currentLeague(), season, week, user: editingUser });
+    const res = await fetch(`/api/admin/picks?${params}`);
+    const data = res.ok ? await res.json() : { picks: [], tiebreaker: null, revision: 0 };
+    picks = data.picks;
+    picksRevision = data.revision;
+    tiebreakerEl.value = data.tiebreaker != null ? String(data.tiebreaker) : '';
+  } else {
+    const res = await fetch(`/api/picks?league=${currentLeague()}&season=${season}&week=${week}`);
+    picks = res.ok ? await res.json() : [];
+    picksRevision = Number((res.headers.get('ETag') || '').replace(/\D/g, '')) || 0;
+    const tres = await fetch(`/api/tiebreaker?league=${currentLeague()}&season=${season}&week=${week}`);
+    const tb = tres.ok ? await tres.json() : null;
+    submitted = { picks, tiebreaker: tb && tb.total != null ? tb.total : null };
+    tiebreakerEl.value = submitted.tiebreaker != null ? String(submitted.tiebreaker) : '';
+
+    // An unsaved draft replaces the open games' picks; locked games keep the submitted ones
+    const draft = await loadDraft();
+    if (draft) {
+      const locked = new Set(games.filter(g => g.locked).map(g => g.id));
+      picks = [...picks.filter(p => locked.has(p.gameId)), ...draft.picks.filter(p => !locked.has(p.gameId))];
+      if (!tiebreakerEl.disabled) tiebreakerEl.value = draft.tiebreaker != null ? String(draft.tiebreaker) : '';
+      showDraftBanner(draft, draft.revision < picksRevision);
+      picksRevision = draft.revision;
+    }
+  }
   const picksMap = Object.fromEntries(picks.map(p => [p.gameId, p]));
 
   // Fill UI
@@ -256,54 +759,255 @@ async function loadExistingPicks() {
   }
   updateAllDropdownOptions();
   updateValidationUI();
+  if (pickMode === 'ranking') startRanking();
 }
 
 async function savePicks() {
   savePrefs();
-  const user = userEl.value.trim();
-  if (!user) { alert('Enter a user name'); return; }
+  if (!me) { alert('Sign in first'); return; }
   const season = Number(seasonEl.value);
   const week = Number(weekEl.value);
   const picks = getPicksFromUI();
-  const err = validatePicks(picks);
+  const range = currentRange.length ? currentRange : confidenceRangeForCount(rules, games.length);
+  const err = validatePicks(picks, games, range, { dualEntry: dualEntryInputs().length > 0 });
   if (err) { alert(err); return; }
 
-  const res = await fetch('/api/picks', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ user, season, week, picks })
+  const res = await fetch(editingUser ? '/api/admin/picks' : '/api/picks', {
+    method: editingUser ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json', 'If-Match': `"${picksRevision}"` },
+    body: JSON.stringify({
+      league: currentLeague(), season, week, picks,
+      tiebreaker: tiebreakerEl.value === '' ? null : Number(tiebreakerEl.value),
+      ...(editingUser ? { user: editingUser } : {}),
+    })
   });
   const data = await res.json();
-  if (!res.ok) { alert(data.error || 'Failed to save'); return; }
-  alert('Saved!');
+  const gameErrors = (data.errors || []).map(e => {
+    const g = games.find(x => x.id === e.gameId);
+    const text = e.error || e.message;
+    return g ? `${g.away.abbreviation} @ ${g.home.abbreviation}: ${text}` : text;
+  });
+  if (res.status === 409) { await showConflict(data); return; }
+  if (!res.ok) { alert([data.error || 'Failed to save', ...gameErrors].join('\n')); return; }
+  if (!editingUser) forgetDraft();
+  alert(gameErrors.length ? ['Saved, except:', ...gameErrors].join('\n') : 'Saved!');
+  await loadExistingPicks();
   await refreshScoreboard();
+  await refreshPicksGrid();
+  await refreshAdminAudit();
+}
+
+// Drafts: edits not saved yet are kept in localStorage at once and on the server shortly
+// after (PUT /api/picks/draft), so a closed tab or another device picks up where they left
+// off. Admin edits on a player's behalf are not drafted.
+const DRAFT_SAVE_DELAY_MS = 2000;
+let pendingDraft = null; // { body } waiting for the server
+let draftTimer = null;
+
+const draftParams = () => ({ league: currentLeague(), season: Number(seasonEl.value), week: Number(weekEl.value) });
+const draftKey = ({ league, season, week }) => `draft:${me.username}:${league}:${season}:${week}`;
+
+function currentSheet() {
+  return { picks: getPicksFromUI(), tiebreaker: tiebreakerEl.value === '' ? null : Number(tiebreakerEl.value) };
+}
+
+const differsFromSubmitted = (sheet) =>
+  diffPicks(sheet.picks, submitted.picks).length > 0 || sheet.tiebreaker !== submitted.tiebreaker;
+
+// After every edit: store the draft, or drop it once the picks match the submitted ones again
+function onPicksEdited() {
+  if (!me || editingUser || !games.length) return;
+  const params = draftParams();
+  const sheet = currentSheet();
+  if (!differsFromSubmitted(sheet)) {
+    if (localStorage.getItem(draftKey(params)) || pendingDraft) discardDraft();
+    return;
+  }
+  const draft = { ...sheet, revision: picksRevision, updatedAt: new Date().toISOString() };
+  localStorage.setItem(draftKey(params), JSON.stringify(draft));
+  pendingDraft = { body: { ...params, ...draft } };
+  clearTimeout(draftTimer);
+  draftTimer = setTimeout(flushDraft, DRAFT_SAVE_DELAY_MS);
+  showDraftBanner(draft);
+}
+
+// Send a waiting draft to the server; keepalive lets it finish while the page unloads
+async function flushDraft({ keepalive = false } = {}) {
+  clearTimeout(draftTimer);
+  if (!pendingDraft) return;
+  const { body } = pendingDraft;
+  pendingDraft = null;
+  await fetch('/api/picks/draft', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    keepalive,
+  }).catch(() => {});
+}
+
+// The week's draft, if it still differs from the submitted picks: the newer of this
+// browser's copy and the server's
+async function loadDraft() {
+  const params = draftParams();
+  const local = JSON.parse(localStorage.getItem(draftKey(params)) || 'null');
+  const res = await fetch(`/api/picks/draft?${new URLSearchParams(params)}`);
+  const draft = newerDraft(local, res.ok ? await res.json() : null);
+  if (draft && differsFromSubmitted(draft)) return draft;
+  if (draft) discardDraft();
+  return null;
+}
+
+// Drop the browser's copy only (after a save, which removes the server's)
+function forgetDraft() {
+  clearTimeout(draftTimer);
+  pendingDraft = null;
+  if (me) localStorage.removeItem(draftKey(draftParams()));
+  showDraftBanner(null);
+}
+
+function discardDraft() {
+  forgetDraft();
+  fetch(`/api/picks/draft?${new URLSearchParams(draftParams())}`, { method: 'DELETE' }).catch(() => {});
+}
+
+function showDraftBanner(draft, stale = false) {
+  draftBannerEl.hidden = !draft;
+  draftBannerEl.innerHTML = '';
+  if (!draft) return;
+  const when = new Date(draft.updatedAt).toLocaleString();
+  draftBannerEl.textContent = `Draft autosaved ${when}; Save Picks to submit it. ` +
+    (stale ? 'Your picks were saved from elsewhere after this draft was started. ' : '');
+  const discard = document.createElement('button');
+  discard.textContent = 'Discard Draft';
+  discard.addEventListener('click', async () => {
+    discardDraft();
+    await loadExistingPicks();
+  });
+  draftBannerEl.appendChild(discard);
+}
+
+// A save refused because the picks were saved from elsewhere first (HTTP 409 with the
+// current picks): list the games where the two differ, then keep these picks (saved over
+// the newer revision) or load the saved ones
+// The player's saved picks, tiebreaker and revision as a 409 would carry them
+async function fetchSavedPicks() {
+  const params = new URLSearchParams({ league: currentLeague(), season: seasonEl.value, week: weekEl.value });
+  if (editingUser) {
+    params.set('user', editingUser);
+    const res = await fetch(`/api/admin/picks?${params}`);
+    return res.ok ? conflictSaved(await res.json()) : null;
+  }
+  const [res, tres] = await Promise.all([fetch(`/api/picks?${params}`), fetch(`/api/tiebreaker?${params}`)]);
+  if (!res.ok || !tres.ok) return null;
+  const revision = Number((res.headers.get('ETag') || '').replace(/\D/g, '')) || 0;
+  return conflictSaved({ picks: await res.json(), tiebreaker: (await tres.json()).total, revision });
+}
+
+async function showConflict(conflict) {
+  // Without the saved picks in the 409 they are fetched; failing that, they are reloaded
+  const data = conflictSaved(conflict) || await fetchSavedPicks().catch(() => null);
+  if (!data) {
+    alert(`${conflict.error || 'These picks have changed'}. Reloading the saved picks.`);
+    await loadExistingPicks();
+    return;
+  }
+  const mine = currentSheet();
+  const byId = new Map(games.map(g => [g.id, g]));
+  const label = (g, p) => (p ? `${g[p.pick].abbreviation} ${p.confidence}` : '—');
+  const rows = diffPicks(mine.picks, data.picks).map(({ gameId, mine: a, theirs: b }) => {
+    const g = byId.get(gameId);
+    return g ? `<tr><td>${g.away.abbreviation} @ ${g.home.abbreviation}</td><td>${label(g, a)}</td><td>${label(g, b)}</td></tr>` : '';
+  });
+  if (mine.tiebreaker !== data.tiebreaker) {
+    rows.push(`<tr><td>Tiebreaker</td><td>${mine.tiebreaker ?? '—'}</td><td>${data.tiebreaker ?? '—'}</td></tr>`);
+  }
+  conflictEl.hidden = false;
+  conflictEl.innerHTML = `<p>These picks were saved from another page or device since you loaded them.</p>` +
+    `<table><thead><tr><th>Game</th><th>These picks</th><th>Saved</th></tr></thead><tbody>${rows.join('')}</tbody></table>`;
+  const keep = document.createElement('button');
+  keep.textContent = 'Keep These Picks';
+  keep.addEventListener('click', () => {
+    picksRevision = data.revision;
+    conflictEl.hidden = true;
+    savePicks();
+  });
+  const useSaved = document.createElement('button');
+  useSaved.textContent = 'Use Saved Picks';
+  useSaved.addEventListener('click', async () => {
+    if (!editingUser) discardDraft();
+    await loadExistingPicks();
+  });
+  conflictEl.append(keep, useSaved);
 }
 
 async function refreshScoreboard() {
   const season = Number(seasonEl.value);
   const week = Number(weekEl.value);
+  const league = currentLeague();
+  if (!me) {
+    scoreboardEl.innerHTML = '<div class="row">Sign in to see scores.</div>';
+    if (seasonScoreboardEl) seasonScoreboardEl.innerHTML = '';
+    return;
+  }
   // Season totals first (independent of week)
   if (seasonScoreboardEl) {
     try {
-      const sres = await fetch(`/api/scoreboard-season?season=${season}`);
+      const sres = await fetch(`/api/scoreboard-season?season=${season}&league=${league}`);
       const sdata = await sres.json();
-      const srows = Object.entries(sdata.scores || {}).sort((a,b) => b[1]-a[1]);
-      seasonScoreboardEl.innerHTML = srows.map(([user, score]) => `<div class="row"><div>${user}</div><div>${score}</div></div>`).join('') || '<div class="row">No season scores yet.</div>';
+      renderSeasonScores(sdata.scores);
     } catch {}
   }
   if (!week) return;
-  const res = await fetch(`/api/scoreboard?season=${season}&week=${week}`);
-  const { scores, results } = await res.json();
-  const rows = Object.entries(scores).sort((a,b) => b[1]-a[1]);
-  scoreboardEl.innerHTML = rows.map(([user, score]) => `<div class="row"><div>${user}</div><div>${score}</div></div>`).join('') || '<div class="row">No scores yet.</div>';
+  const res = await fetch(`/api/scoreboard?season=${season}&week=${week}&league=${league}`);
+  const { standings, results } = await res.json();
+  renderStandings(standings);
+  annotateGames(results);
+}
 
-  // Annotate games with current scores and winners
+function renderSeasonScores(scores) {
+  if (!seasonScoreboardEl) return;
+  const srows = Object.entries(scores || {}).sort((a,b) => b[1]-a[1]);
+  seasonScoreboardEl.innerHTML = srows.length ? '' : '<div class="row">No season scores yet.</div>';
+  for (const [user, score] of srows) {
+    const row = document.createElement('div');
+    row.className = 'row';
+    row.innerHTML = `<div></div><div>${score}</div>`;
+    row.firstChild.textContent = user;
+    seasonScoreboardEl.appendChild(row);
+  }
+}
+
+// Ranked by points, then by closeness of the tiebreaker prediction
+function renderStandings(standings) {
+  const tbText = (tb) => {
+    if (tb.predicted == null) return '';
+    return tb.delta != null ? `TB ${tb.predicted} (off by ${tb.delta})` : `TB ${tb.predicted}`;
+  };
+  // Points earned, points still live and the maximum possible; players who can no
+  // longer win the week are dimmed
+  const aliveText = (s) => s.alive == null ? '' : s.alive ? '✔' : '✖';
+  scoreboardEl.innerHTML = standings && standings.length
+    ? '<div class="row head"><div>Player</div><div class="cols"><span>Pts</span><span title="Points still at stake">Live</span><span title="Maximum possible">Max</span><span title="Can still win the week">Alive</span></div></div>'
+    : '<div class="row">No scores yet.</div>';
+  for (const s of standings || []) {
+    const row = document.createElement('div');
+    row.className = `row${s.alive === false ? ' out' : ''}`;
+    row.innerHTML = `<div><span class="rank">${s.rank}.</span><span class="user"></span><span class="tb">${tbText(s.tiebreaker)}</span></div>` +
+      `<div class="cols"><span>${s.points}</span><span>${s.live}</span><span>${s.maxPossible}</span><span title="${s.alive ? 'Can still win the week' : 'Can no longer win the week'}">${aliveText(s)}</span></div>`;
+    row.querySelector('.user').textContent = s.user;
+    scoreboardEl.appendChild(row);
+  }
+}
+
+// Annotate games with current scores and winners
+function annotateGames(results) {
   const resMap = results || {};
   for (const row of gamesEl.querySelectorAll('.game')) {
     const gameId = row.dataset.gameId;
     const g = games.find(x => x.id === gameId);
-  // Only show scores once the game has started (not scheduled) or past kickoff
-  const hasStarted = (g.status && g.status.toUpperCase() !== 'STATUS_SCHEDULED') || (new Date(g.date).getTime() <= Date.now());
+  // Only show scores once the game has started or past kickoff
+  // (the server decides lock time, which follows the provider's clock)
+  const hasStarted = ['in_progress', 'suspended', 'final'].includes(g.phase) || g.locked;
   const hs = hasStarted && g.home.score != null ? g.home.score : '';
   const as = hasStarted && g.away.score != null ? g.away.score : '';
   const winner = resMap[gameId];
@@ -318,6 +1022,248 @@ async function refreshScoreboard() {
   awayScoreEl.style.display = hasStarted && as !== '' ? '' : 'none';
   homeTeamEl.classList.toggle('winner', winner === 'home');
   awayTeamEl.classList.toggle('winner', winner === 'away');
+  // Voided by an admin: no contest, left out of scoring
+  row.classList.toggle('void', g.override === 'void');
+  }
+}
+
+// Live updates for the loaded week (Server-Sent Events from /api/stream). The browser
+// reconnects on its own after network errors; a new stream replaces the old one on reload.
+let liveSource = null;
+
+function openLiveStream() {
+  if (liveSource) { liveSource.close(); liveSource = null; }
+  const week = Number(weekEl.value);
+  if (!me || !week || typeof EventSource === 'undefined') return;
+  liveSource = new EventSource(`/api/stream?season=${Number(seasonEl.value)}&week=${week}&league=${currentLeague()}`);
+  liveSource.addEventListener('update', (e) => {
+    const data = JSON.parse(e.data);
+    if (data.season !== Number(seasonEl.value) || data.week !== Number(weekEl.value)) return;
+    for (const changed of data.games) {
+      const i = games.findIndex(g => g.id === changed.id);
+      if (i === -1) continue;
+      const newlyLocked = changed.locked && !games[i].locked;
+      games[i] = changed;
+      if (newlyLocked) lockGameRow(changed);
+    }
+    renderStandings(data.scoreboard.standings);
+    renderSeasonScores(data.seasonScores);
+    annotateGames(data.scoreboard.results);
+    refreshPicksGrid();
+  });
+}
+
+// Disable the pickers of a game that kicked off while the page was open
+function lockGameRow(g) {
+  const row = gamesEl.querySelector(`.game[data-game-id="${g.id}"]`);
+  if (!row || row.classList.contains('locked')) return;
+  row.classList.add('locked');
+  row.querySelectorAll('.conf-input').forEach(sel => { sel.disabled = true; });
+  const lock = document.createElement('span');
+  lock.className = 'lock';
+  lock.title = 'Picks are locked for this game';
+  lock.textContent = '🔒 Locked';
+  row.querySelector('.kickoff').appendChild(lock);
+  if (g === games[games.length - 1]) tiebreakerEl.disabled = true;
+  if (pickMode === 'ranking') startRanking();
+}
+
+// Ranking mode: tap the winner of each game, then drag the cards (or move them with the
+// arrow keys) so the top card gets the highest confidence. Values fill in from the order.
+// It reads and writes the same dropdowns as the list view, so getPicksFromUI, saving and
+// validation are shared.
+const isOpenGame = (g) => !g.locked || !!editingUser;
+
+function setPickMode(mode) {
+  pickMode = mode;
+  savePrefs();
+  showPickMode();
+}
+
+function showPickMode() {
+  const mode = pickMode;
+  for (const b of pickModeEl.querySelectorAll('button')) b.classList.toggle('active', b.dataset.mode === mode);
+  gamesEl.hidden = mode === 'ranking';
+  rankingEl.hidden = mode !== 'ranking';
+  if (mode === 'ranking') startRanking();
+}
+
+// Build the ranking from the dropdowns' current picks
+function startRanking() {
+  const openIds = games.filter(isOpenGame).map(g => g.id);
+  const open = new Set(openIds);
+  ranking = rankingFromPicks(openIds, getPicksFromUI().filter(p => open.has(p.gameId)));
+  renderRanking();
+}
+
+// Values for the ranked cards: the week's range minus those held by locked picks
+function rankedValues() {
+  const open = new Set(ranking.order);
+  return rankingValues(currentRange, getPicksFromUI().filter(p => !open.has(p.gameId)).map(p => p.confidence));
+}
+
+// Write the ranking into the open games' dropdowns
+function applyRanking() {
+  const picks = new Map(picksFromRanking(ranking.order, ranking.sides, rankedValues()).map(p => [p.gameId, p]));
+  const rows = ranking.order.map(id => gamesEl.querySelector(`.game[data-game-id="${id}"]`)).filter(Boolean);
+  for (const row of rows) row.querySelectorAll('.conf-input').forEach(sel => { sel.value = ''; });
+  updateAllDropdownOptions();
+  for (const row of rows) {
+    const pick = picks.get(row.dataset.gameId);
+    if (pick) row.querySelector(`.conf-input[data-side="${pick.pick}"]`).value = String(pick.confidence);
+  }
+  updateAllDropdownOptions();
+  updateValidationUI();
+  onPicksEdited();
+}
+
+function renderRanking() {
+  rankingEl.innerHTML = '';
+  const values = rankedValues();
+  const byId = new Map(games.map(g => [g.id, g]));
+  const teamButton = (g, side) => {
+    const team = g[side];
+    const chosen = ranking.sides[g.id] === side;
+    return `<button type="button" class="rank-team${chosen ? ' chosen' : ''}" data-side="${side}" aria-pressed="${chosen}">` +
+      `<img src="${team.logo}" alt="">${team.abbreviation}</button>`;
+  };
+  ranking.order.forEach((id, i) => {
+    const g = byId.get(id);
+    const card = document.createElement('li');
+    card.className = 'rank-card';
+    card.dataset.gameId = id;
+    card.tabIndex = 0;
+    card.setAttribute('aria-label', `${g.away.abbreviation} at ${g.home.abbreviation}, confidence ${values[i] ?? 'none'}`);
+    card.innerHTML = `<span class="rank-value">${values[i] ?? '—'}</span>${teamButton(g, 'away')}<span class="at">@</span>${teamButton(g, 'home')}` +
+      `<span class="rank-handle" title="Drag to reorder">☰</span>`;
+    rankingEl.appendChild(card);
+  });
+  // Locked games keep their stored pick and value, listed below the ranking
+  for (const g of games.filter(g => !isOpenGame(g))) {
+    const pick = getPicksFromUI().find(p => p.gameId === g.id);
+    const card = document.createElement('li');
+    card.className = 'rank-card locked';
+    card.innerHTML = `<span class="rank-value">${pick ? pick.confidence : '—'}</span>` +
+      `<span class="rank-team${pick?.pick === 'away' ? ' chosen' : ''}">${g.away.abbreviation}</span><span class="at">@</span>` +
+      `<span class="rank-team${pick?.pick === 'home' ? ' chosen' : ''}">${g.home.abbreviation}</span><span class="lock">🔒</span>`;
+    rankingEl.appendChild(card);
+  }
+}
+
+// Move a card to `to` (clamped) and announce its new value
+function moveRankedGame(id, to) {
+  const from = ranking.order.indexOf(id);
+  const target = Math.max(0, Math.min(ranking.order.length - 1, to));
+  if (from === -1 || from === target) return;
+  ranking.order.splice(from, 1);
+  ranking.order.splice(target, 0, id);
+  applyRanking();
+  renderRanking();
+  rankingEl.querySelector(`.rank-card[data-game-id="${id}"]`)?.focus();
+  const g = games.find(x => x.id === id);
+  rankingStatusEl.textContent = `${g.away.abbreviation} at ${g.home.abbreviation} moved to ${target + 1}, confidence ${rankedValues()[target] ?? 'none'}`;
+}
+
+// Tap a team to pick it; tap it again to clear the pick
+function chooseRankedSide(id, side) {
+  if (ranking.sides[id] === side) delete ranking.sides[id];
+  else ranking.sides[id] = side;
+  applyRanking();
+  renderRanking();
+  rankingEl.querySelector(`.rank-card[data-game-id="${id}"]`)?.focus();
+}
+
+rankingEl.addEventListener('click', (e) => {
+  const button = e.target.closest('button.rank-team');
+  const card = button && button.closest('.rank-card');
+  if (card) chooseRankedSide(card.dataset.gameId, button.dataset.side);
+});
+
+// Keyboard: arrows up/down move the card, Home/End to the top or bottom, left/right pick
+// the away or home team
+rankingEl.addEventListener('keydown', (e) => {
+  const card = e.target.closest('.rank-card:not(.locked)');
+  if (!card || e.target !== card) return;
+  const id = card.dataset.gameId;
+  const i = ranking.order.indexOf(id);
+  const moves = { ArrowUp: i - 1, ArrowDown: i + 1, Home: 0, End: ranking.order.length - 1 };
+  if (e.key in moves) {
+    e.preventDefault();
+    moveRankedGame(id, moves[e.key]);
+  } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+    e.preventDefault();
+    chooseRankedSide(id, e.key === 'ArrowLeft' ? 'away' : 'home');
+  }
+});
+
+// Dragging by the handle with pointer events, so touch screens work as well as a mouse.
+// Moves are tracked on the window: reordering the dragged card would drop a pointer capture.
+rankingEl.addEventListener('pointerdown', (e) => {
+  const handle = e.target.closest('.rank-handle');
+  const card = handle && handle.closest('.rank-card:not(.locked)');
+  if (!card) return;
+  e.preventDefault();
+  card.classList.add('dragging');
+  const onMove = (ev) => {
+    const cards = [...rankingEl.querySelectorAll('.rank-card:not(.locked)')];
+    const over = cards.find(c => c !== card && ev.clientY < c.getBoundingClientRect().top + c.offsetHeight / 2);
+    // Past the last open card: stay above the locked games
+    rankingEl.insertBefore(card, over || rankingEl.querySelector('.rank-card.locked'));
+  };
+  const onUp = () => {
+    window.removeEventListener('pointermove', onMove);
+    window.removeEventListener('pointerup', onUp);
+    window.removeEventListener('pointercancel', onUp);
+    card.classList.remove('dragging');
+    const id = card.dataset.gameId;
+    const to = [...rankingEl.querySelectorAll('.rank-card:not(.locked)')].indexOf(card);
+    ranking.order.splice(ranking.order.indexOf(id), 1);
+    ranking.order.splice(to, 0, id);
+    applyRanking();
+    renderRanking();
+  };
+  window.addEventListener('pointermove', onMove);
+  window.addEventListener('pointerup', onUp);
+  window.addEventListener('pointercancel', onUp);
+});
+
+pickModeEl.addEventListener('click', (e) => {
+  const button = e.target.closest('button[data-mode]');
+  if (button) setPickMode(button.dataset.mode);
+});
+
+// Player × game matrix; other players' picks stay hidden until each game locks
+async function refreshPicksGrid() {
+  if (!picksGridEl) return;
+  const season = Number(seasonEl.value);
+  const week = Number(weekEl.value);
+  if (!me || !week) { picksGridEl.innerHTML = ''; return; }
+  const res = await fetch(`/api/picks-grid?season=${season}&week=${week}&league=${currentLeague()}`);
+  if (!res.ok) { picksGridEl.innerHTML = ''; return; }
+  const grid = await res.json();
+  if (!grid.players.length) {
+    picksGridEl.innerHTML = '<div class="hint">No picks yet.</div>';
+    return;
+  }
+  const head = grid.games.map(g =>
+    `<th title="${g.away.name} @ ${g.home.name}"><img src="${g.away.logo}" alt="${g.away.abbreviation}"><br>@<br><img src="${g.home.logo}" alt="${g.home.abbreviation}"></th>`
+  ).join('');
+  picksGridEl.innerHTML = `<table><thead><tr><th class="player">Player</th>${head}<th>Pts</th></tr></thead><tbody></tbody></table>`;
+  const body = picksGridEl.querySelector('tbody');
+  for (const p of grid.players) {
+    const cells = grid.games.map(g => {
+      const c = p.picks[g.id];
+      if (!c) return '<td class="cell"></td>';
+      if (c.hidden) return '<td class="cell hidden" title="Hidden until kickoff">🔒</td>';
+      const team = g[c.pick];
+      const auto = c.auto ? ' auto' : '';
+      const note = c.auto ? ', filled in automatically' : '';
+      return `<td class="cell ${c.result}${auto}" title="${team.name} (${c.confidence}${note})"><img src="${team.logo}" alt="${team.abbreviation}">${c.confidence}</td>`;
+    }).join('');
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td class="player"></td>${cells}<td class="total">${p.points}</td>`;
+    tr.firstChild.textContent = p.user;
+    body.appendChild(tr);
   }
 }
 
@@ -336,9 +1282,27 @@ async function refreshResults() {
 loadBtn.addEventListener('click', loadGames);
 saveBtn.addEventListener('click', savePicks);
 refreshResultsBtn.addEventListener('click', refreshResults);
+newLeagueBtn.addEventListener('click', createLeague);
+joinLeagueBtn.addEventListener('click', joinLeague);
+leagueEl.addEventListener('change', async () => {
+  savePrefs();
+  await refreshLeagueInfo();
+  if (weekEl.value) await loadGames();
+});
+document.getElementById('login').addEventListener('click', () => authenticate('login'));
+document.getElementById('register').addEventListener('click', () => authenticate('register'));
+document.getElementById('logout').addEventListener('click', logout);
+document.getElementById('email').addEventListener('click', editEmail);
+passwordEl.addEventListener('keydown', (e) => { if (e.key === 'Enter') authenticate('login'); });
+tiebreakerEl.addEventListener('input', onPicksEdited);
+window.addEventListener('pagehide', () => flushDraft({ keepalive: true }));
 
 (async function init() {
   restorePrefs();
+  showPickMode();
+  await fetchMe();
+  await loadLeagues();
+  await refreshAdminUsers();
   const info = await fetchWeekInfo();
   // Auto-load games when a new week is picked
   if (weekEl) {
@@ -352,34 +1316,11 @@ refreshResultsBtn.addEventListener('click', refreshResults);
   }
 })();
 
-// Helpers to build and refresh dropdown options based on used numbers
-function buildOptions(select, usedSet) {
-  const current = select.value ? Number(select.value) : null;
-  const opts = [{ label: '—', value: '' }];
-  for (const v of currentRange) {
-    if (!usedSet.has(v) || v === current) {
-      opts.push({ label: String(v), value: String(v) });
-    }
-  }
-  const prev = Array.from(select.options).map(o => o.value).join(',');
-  const next = opts.map(o => o.value).join(',');
-  if (prev !== next) {
-    select.innerHTML = '';
-    for (const o of opts) {
-      const optEl = document.createElement('option');
-      optEl.value = o.value;
-      optEl.textContent = o.label;
-      select.appendChild(optEl);
-    }
-    // restore selection if still valid
-    select.value = current != null ? String(current) : '';
-  }
-}
-
+// Refresh every dropdown's options based on the numbers used (buildOptions in picks.js)
 function updateAllDropdownOptions() {
   const selects = Array.from(gamesEl.querySelectorAll('.conf-input'));
   const used = new Set(
     selects.map(s => (s.value ? Number(s.value) : null)).filter(v => v != null)
   );
-  for (const s of selects) buildOptions(s, used);
+  for (const s of selects) buildOptions(s, used, currentRange);
 }
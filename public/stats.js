@@ -0,0 +1,155 @@
+// Season stats page: charts a player's weekly points, weekly rank and accuracy by
+// confidence value from /api/stats. Charts are plain inline SVG.
+const leagueEl = document.getElementById('league');
+const seasonEl = document.getElementById('season');
+const playerEl = document.getElementById('player');
+const loadBtn = document.getElementById('load');
+const weeklyPointsEl = document.getElementById('weeklyPoints');
+const weeklyRankEl = document.getElementById('weeklyRank');
+const tiersEl = document.getElementById('tiers');
+const summaryEl = document.getElementById('summary');
+const teamsEl = document.getElementById('teams');
+
+let me = null;
+let weekLabels = {}; // week number -> label from /api/week-info
+
+const CHART_W = 640;
+const CHART_H = 200;
+const PAD = 28;
+
+function weekLabel(week) {
+  const label = weekLabels[week] || `Week ${week}`;
+  return label.replace(/^Week /, 'W');
+}
+
+// Vertical bars; bars: [{ label, value, title }]. Negative values (miss penalties) hang below zero.
+function barChart(bars, { max, format = (v) => v } = {}) {
+  if (!bars.length) return '<div class="hint">No data yet.</div>';
+  const values = bars.map(b => b.value ?? 0);
+  const top = Math.max(max ?? 0, ...values, 1);
+  const bottom = Math.min(0, ...values);
+  const span = top - bottom;
+  const plotH = CHART_H - PAD * 2;
+  const y = (v) => PAD + ((top - v) / span) * plotH;
+  const slot = (CHART_W - PAD) / bars.length;
+  const width = Math.max(4, slot * 0.7);
+  const rects = bars.map((b, i) => {
+    const x = PAD + i * slot + (slot - width) / 2;
+    const v = b.value ?? 0;
+    const y0 = y(Math.max(v, 0));
+    const h = Math.max(Math.abs(y(v) - y(0)), b.value == null ? 0 : 1);
+    return `<g><title>${b.title}</title>` +
+      `<rect x="${x}" y="${y0}" width="${width}" height="${h}" class="${v < 0 ? 'bar neg' : 'bar'}"></rect>` +
+      `<text x="${x + width / 2}" y="${y0 - 4}" class="value">${b.value == null ? '' : format(b.value)}</text>` +
+      `<text x="${x + width / 2}" y="${CHART_H - 8}" class="label">${b.label}</text></g>`;
+  }).join('');
+  return `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" role="img">` +
+    `<line x1="${PAD}" x2="${CHART_W}" y1="${y(0)}" y2="${y(0)}" class="axis"></line>${rects}</svg>`;
+}
+
+// Rank line: 1 at the top
+function rankChart(weeks) {
+  if (!weeks.length) return '<div class="hint">No data yet.</div>';
+  const worst = Math.max(...weeks.map(w => w.players), 2);
+  const plotH = CHART_H - PAD * 2;
+  const slot = (CHART_W - PAD) / weeks.length;
+  const pts = weeks.map((w, i) => ({
+    x: PAD + i * slot + slot / 2,
+    y: PAD + ((w.rank - 1) / (worst - 1)) * plotH,
+    w,
+  }));
+  const path = pts.map((p, i) => `${i ? 'L' : 'M'}${p.x},${p.y}`).join(' ');
+  const dots = pts.map(p =>
+    `<g><title>${weekLabels[p.w.week] || `Week ${p.w.week}`}: rank ${p.w.rank} of ${p.w.players}</title>` +
+    `<circle cx="${p.x}" cy="${p.y}" r="4" class="dot"></circle>` +
+    `<text x="${p.x}" y="${p.y - 8}" class="value">${p.w.rank}</text>` +
+    `<text x="${p.x}" y="${CHART_H - 8}" class="label">${weekLabel(p.w.week)}</text></g>`
+  ).join('');
+  return `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" role="img"><path d="${path}" class="line"></path>${dots}</svg>`;
+}
+
+function renderStats(stats) {
+  weeklyPointsEl.innerHTML = barChart(stats.weeks.map(w => ({
+    label: weekLabel(w.week),
+    value: w.points,
+    title: `${weekLabels[w.week] || `Week ${w.week}`}: ${w.points} points`,
+  })));
+  weeklyRankEl.innerHTML = rankChart(stats.weeks);
+  tiersEl.innerHTML = barChart(stats.tiers.map(t => ({
+    label: String(t.confidence),
+    value: t.pct,
+    title: `${t.confidence}: ${t.correct} of ${t.picks} correct`,
+  })), { max: 100, format: (v) => `${Math.round(v)}%` });
+
+  const a = stats.accuracy;
+  const ha = stats.homeAway;
+  const m = stats.highConfidenceMisses;
+  const total = stats.weeks.reduce((sum, w) => sum + w.points, 0);
+  const best = stats.weeks.length ? Math.min(...stats.weeks.map(w => w.rank)) : null;
+  summaryEl.innerHTML = [
+    ['Season points', total],
+    ['Best weekly rank', best ?? '-'],
+    ['Pick accuracy', a.pct == null ? '-' : `${a.pct}% (${a.correct} of ${a.correct + a.incorrect})`],
+    ['Ties / pending', `${a.tie} / ${a.pending}`],
+    ['Home picks', ha.homePct == null ? '-' : `${ha.homePct}% (${ha.home} home, ${ha.away} away)`],
+    [`Misses in top ${m.tier} confidence`, `${m.count} (${m.pointsLost} points lost)`],
+  ].map(([k, v]) => `<div class="row"><div>${k}</div><div>${v}</div></div>`).join('');
+
+  teamsEl.innerHTML = stats.teams.map(t =>
+    `<div class="row"><div><img src="${t.team.logo}" alt="${t.team.abbreviation}">${t.team.name}</div><div>${t.correct}/${t.picks}</div></div>`
+  ).join('') || '<div class="hint">No picks yet.</div>';
+}
+
+async function loadPlayers() {
+  const prev = playerEl.value || me.username;
+  const res = await fetch(`/api/leagues/${leagueEl.value}/members`);
+  const members = res.ok ? (await res.json()).map(m => m.user) : [];
+  if (!members.includes(me.username)) members.unshift(me.username);
+  playerEl.innerHTML = '';
+  for (const u of members) {
+    const opt = document.createElement('option');
+    opt.value = u;
+    opt.textContent = u;
+    playerEl.appendChild(opt);
+  }
+  playerEl.value = members.includes(prev) ? prev : me.username;
+}
+
+async function loadStats() {
+  const params = new URLSearchParams({ league: leagueEl.value, season: seasonEl.value, user: playerEl.value });
+  const res = await fetch(`/api/stats?${params}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    summaryEl.innerHTML = `<div class="hint">${data.error || `Failed to load stats (HTTP ${res.status})`}</div>`;
+    return;
+  }
+  renderStats(data);
+}
+
+loadBtn.addEventListener('click', loadStats);
+leagueEl.addEventListener('change', async () => { await loadPlayers(); await loadStats(); });
+playerEl.addEventListener('change', loadStats);
+
+(async function init() {
+  const meRes = await fetch('/api/auth/me');
+  me = meRes.ok ? await meRes.json() : null;
+  if (!me) {
+    summaryEl.innerHTML = '<div class="hint">Sign in on the <a href="/">picks page</a> to see stats.</div>';
+    return;
+  }
+  const prefs = JSON.parse(localStorage.getItem('prefs') || '{}');
+  const info = await (await fetch('/api/week-info')).json();
+  weekLabels = Object.fromEntries((info.weeks || []).map(w => [w.value, w.label]));
+  seasonEl.value = prefs.season || info.season;
+  const leagues = await (await fetch('/api/leagues')).json();
+  // League names are free text: set as text, not markup
+  for (const l of leagues) {
+    const opt = document.createElement('option');
+    opt.value = String(l.id);
+    opt.textContent = l.name;
+    leagueEl.appendChild(opt);
+  }
+  if (prefs.league && leagues.some(l => l.id === prefs.league)) leagueEl.value = String(prefs.league);
+  await loadPlayers();
+  await loadStats();
+})();
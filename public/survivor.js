@@ -0,0 +1,143 @@
+// Survivor pool page: pick one team a week from the week's games (/api/games), each team
+// once a season, and follow who is still alive (/api/survivor).
+const leagueEl = document.getElementById('league');
+const seasonEl = document.getElementById('season');
+const weekEl = document.getElementById('week');
+const loadBtn = document.getElementById('load');
+const statusEl = document.getElementById('status');
+const gamesEl = document.getElementById('games');
+const standingsEl = document.getElementById('standings');
+
+let me = null;
+let weekLabels = {}; // week number -> label from /api/week-info
+let survivor = null; // last /api/survivor response
+
+const OUTCOME_CLASS = { win: 'correct', loss: 'incorrect', pending: 'pending' };
+
+function renderStandings() {
+  const { weeks, standings } = survivor;
+  if (!standings.length) {
+    standingsEl.innerHTML = '<div class="hint">No survivor picks yet.</div>';
+    return;
+  }
+  const head = weeks.map(w => `<th>${(weekLabels[w.week] || `Week ${w.week}`).replace(/^Week /, 'W')}</th>`).join('');
+  standingsEl.innerHTML = `<table><thead><tr><th class="player">Player</th><th>Status</th>${head}</tr></thead><tbody></tbody></table>`;
+  const body = standingsEl.querySelector('tbody');
+  for (const r of standings) {
+    const byWeek = new Map(r.picks.map(p => [p.week, p]));
+    const status = r.alive ? 'Alive' : `Out in week ${r.eliminatedWeek}${r.reason === 'missed' ? ' (no pick)' : ''}`;
+    const cells = weeks.map(w => {
+      const p = byWeek.get(w.week);
+      if (!p) return '<td></td>';
+      if (p.hidden) return '<td class="cell hidden" title="Picked; shown at kickoff">✓</td>';
+      return `<td class="cell ${OUTCOME_CLASS[p.outcome]}" title="${p.team.abbreviation}: ${p.outcome}">` +
+        `<img src="${p.team.logo}" alt="${p.team.abbreviation}"></td>`;
+    }).join('');
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td class="player"></td><td>${status}</td>${cells}`;
+    tr.firstChild.textContent = r.user;
+    body.appendChild(tr);
+  }
+}
+
+// The week's games as two team buttons each. Used teams, games that have kicked off and
+// every game once this week's pick has locked (or the player is out) are disabled.
+async function renderGames() {
+  const week = Number(weekEl.value);
+  const res = await fetch(`/api/games?season=${seasonEl.value}&week=${week}`);
+  const games = res.ok ? await res.json() : [];
+  const mine = survivor.standings.find(r => r.user === me.username);
+  const picks = mine ? mine.picks : [];
+  const current = picks.find(p => p.week === week);
+  const usedIn = new Map(picks.filter(p => p.week !== week).map(p => [p.teamId, p.week]));
+  const currentLocked = current && games.some(g => g.id === current.gameId && g.locked);
+  const out = mine && !mine.alive && mine.eliminatedWeek <= week;
+
+  statusEl.hidden = !(out || current);
+  statusEl.textContent = out
+    ? `You were eliminated in week ${mine.eliminatedWeek}.`
+    : current ? `Your pick: ${current.team.abbreviation}${currentLocked ? ' (locked)' : '. Tap it again to clear it.'}` : '';
+
+  gamesEl.innerHTML = '';
+  if (!games.length) {
+    gamesEl.innerHTML = '<div class="hint">No games found for this week.</div>';
+    return;
+  }
+  for (const g of games) {
+    const row = document.createElement('div');
+    row.className = `survivor-game${g.locked ? ' locked' : ''}`;
+    for (const side of ['away', 'home']) {
+      const team = g[side];
+      const teamId = String(team.id);
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `rank-team${current && current.teamId === teamId ? ' chosen' : ''}`;
+      button.innerHTML = `<img src="${team.logo}" alt="">${team.abbreviation}`;
+      const used = usedIn.get(teamId);
+      if (used) button.title = `Used in week ${used}`;
+      button.disabled = !!(used || g.locked || currentLocked || out || g.phase === 'canceled');
+      button.addEventListener('click', () => savePick(current && current.teamId === teamId ? null : teamId));
+      row.appendChild(button);
+      if (side === 'away') row.insertAdjacentHTML('beforeend', '<span class="at">@</span>');
+    }
+    row.insertAdjacentHTML('beforeend', `<span class="kickoff">${g.locked ? '🔒' : new Date(g.date).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })}</span>`);
+    gamesEl.appendChild(row);
+  }
+}
+
+async function savePick(team) {
+  const res = await fetch('/api/survivor/picks', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ league: Number(leagueEl.value), season: Number(seasonEl.value), week: Number(weekEl.value), team }),
+  });
+  if (!res.ok) {
+    alert((await res.json().catch(() => ({}))).error || `Failed to save (HTTP ${res.status})`);
+    return;
+  }
+  await load();
+}
+
+async function load() {
+  const params = new URLSearchParams({ league: leagueEl.value, season: seasonEl.value });
+  const res = await fetch(`/api/survivor?${params}`);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    standingsEl.innerHTML = `<div class="hint">${data.error || `Failed to load standings (HTTP ${res.status})`}</div>`;
+    return;
+  }
+  survivor = data;
+  renderStandings();
+  await renderGames();
+}
+
+loadBtn.addEventListener('click', load);
+leagueEl.addEventListener('change', load);
+weekEl.addEventListener('change', renderGames);
+
+(async function init() {
+  const meRes = await fetch('/api/auth/me');
+  me = meRes.ok ? await meRes.json() : null;
+  if (!me) {
+    standingsEl.innerHTML = '<div class="hint">Sign in on the <a href="/">picks page</a> to play.</div>';
+    return;
+  }
+  const prefs = JSON.parse(localStorage.getItem('prefs') || '{}');
+  const info = await (await fetch('/api/week-info')).json();
+  const weeks = (info.weeks || []).filter(w => !w.postseason);
+  weekLabels = Object.fromEntries(weeks.map(w => [w.value, w.label]));
+  weekEl.innerHTML = weeks.map(w => `<option value="${w.value}">${w.label}</option>`).join('');
+  const week = [prefs.week, info.defaultWeek].find(w => weekLabels[w]);
+  if (week) weekEl.value = String(week);
+  seasonEl.value = prefs.season || info.season;
+  const leagues = await (await fetch('/api/leagues')).json();
+  // League names are free text: set as text, not markup
+  for (const l of leagues) {
+    const opt = document.createElement('option');
+    opt.value = String(l.id);
+    opt.textContent = l.name;
+    leagueEl.appendChild(opt);
+  }
+  if (prefs.league && leagues.some(l => l.id === prefs.league)) leagueEl.value = String(prefs.league);
+  await load();
+})();
@@ -0,0 +1,61 @@
+// Pick validation shared by the browser (script.js) and the server (POST /api/picks).
+// Plain ES module with no dependencies so it can be served as-is from public/.
+
+// Allowed confidence values for a week with `count` games, highest first.
+// 'sixteen': 16 down to (17 - count); 'games': count down to 1.
+export function confidenceRange(mode, count) {
+  const top = mode === 'games' ? count : 16;
+  const min = Math.max(1, top + 1 - count);
+  const arr = [];
+  for (let v = top; v >= min; v--) arr.push(v);
+  return arr;
+}
+
+// Check a week's picks ([{ gameId, pick, confidence }]) against its games and the
+// allowed confidence range. Partial picks are allowed. Returns a list of
+// { index, gameId, code, message } errors, empty when valid. Codes:
+//   unknown_game, invalid_pick, duplicate_game, invalid_confidence, out_of_range,
+//   duplicate_confidence
+export function validateWeekPicks(picks, games, range) {
+  const errors = [];
+  const gameIds = new Set(games.map(g => String(g.id)));
+  const min = Math.min(...range), max = Math.max(...range);
+  const seenGames = new Map();
+  const seenConfidence = new Map();
+  const add = (index, gameId, code, message) => errors.push({ index, gameId, code, message });
+
+  (Array.isArray(picks) ? picks : []).forEach((p, index) => {
+    const gameId = p && p.gameId != null ? String(p.gameId) : null;
+    if (!gameId || !gameIds.has(gameId)) {
+      add(index, gameId, 'unknown_game', 'Game is not part of this week.');
+      return;
+    }
+    if (seenGames.has(gameId)) {
+      add(index, gameId, 'duplicate_game', 'Choose only one team per game.');
+      return;
+    }
+    seenGames.set(gameId, index);
+    if (p.pick !== 'home' && p.pick !== 'away') {
+      add(index, gameId, 'invalid_pick', 'Pick must be home or away.');
+    }
+    const c = Number(p.confidence);
+    if (!Number.isInteger(c)) {
+      add(index, gameId, 'invalid_confidence', 'Confidence must be a whole number.');
+      return;
+    }
+    if (c < min || c > max) {
+      add(index, gameId, 'out_of_range', `Confidence must be between ${min} and ${max}.`);
+      return;
+    }
+    if (seenConfidence.has(c)) {
+      const first = seenConfidence.get(c);
+      if (!errors.some(e => e.index === first && e.code === 'duplicate_confidence')) {
+        add(first, String(picks[first].gameId), 'duplicate_confidence', 'Each confidence value must appear only once.');
+      }
+      add(index, gameId, 'duplicate_confidence', 'Each confidence value must appear only once.');
+      return;
+    }
+    seenConfidence.set(c, index);
+  });
+  return errors;
+}
@@ -0,0 +1,357 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+// Week 1 of the recorded 2024 payloads (fixtures/espn/2024-1.json), in kickoff order
+const KC = '401671789'; // BAL 20 @ KC 27
+const PHI = '401671790'; // GB 29 @ PHI 34
+const ATL = '401671791'; // PIT 18 @ ATL 10
+const BUF = '401671792'; // ARI 28 @ BUF 34
+const SF = '401671793'; // NYJ 19 @ SF 32
+const MIA = '401671801'; // week 2: BUF 31 @ MIA 10
+const PHI2 = '401671803'; // week 2: ATL 22 @ PHI 21
+
+let server;
+let alice;
+let bob;
+
+before(async () => {
+  server = await startApp();
+  alice = server.client();
+  bob = server.client();
+  // The first account becomes the admin
+  assert.equal((await alice('POST', '/api/auth/register', { username: 'alice', password: 'secret12' })).body.role, 'admin');
+  assert.equal((await bob('POST', '/api/auth/register', { username: 'bob', password: 'secret12' })).body.role, 'user');
+});
+
+after(() => server.close());
+
+const picks = (week, list) => ({ season: 2024, week, league: 1, picks: list.map(([gameId, pick, confidence]) => ({ gameId, pick, confidence })) });
+
+test('GET /api/games parses and stores the recorded week', async () => {
+  const res = await alice('GET', '/api/games?season=2024&week=1');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map(g => g.id), [KC, PHI, ATL, BUF, SF]);
+  const kc = res.body[0];
+  assert.equal(kc.week, 1);
+  assert.equal(kc.date, '2024-09-06T00:20Z');
+  assert.equal(kc.home.abbreviation, 'KC');
+  assert.equal(kc.away.abbreviation, 'BAL');
+  assert.ok(kc.home.logo);
+  // Before kickoff the replayed game is scheduled, unscored and open for picks
+  assert.equal(kc.state, 'pre');
+  assert.equal(kc.phase, 'scheduled');
+  assert.equal(kc.home.score, null);
+  assert.equal(kc.locked, false);
+  assert.equal(kc.favorite, 'home');
+  assert.deepEqual(kc.odds, { details: 'KC -3.0', spread: -3, overUnder: 46.5, lockSpread: null });
+});
+
+test('GET /api/games requires a week', async () => {
+  assert.equal((await alice('GET', '/api/games?season=2024')).status, 400);
+});
+
+test('POST /api/picks requires a signed-in user', async () => {
+  const res = await server.client()('POST', '/api/picks', picks(1, [[KC, 'home', 16]]));
+  assert.equal(res.status, 401);
+});
+
+test('POST /api/picks rejects out-of-range and repeated confidence values', async () => {
+  const outOfRange = await alice('POST', '/api/picks', picks(1, [[KC, 'home', 3]]));
+  assert.equal(outOfRange.status, 400);
+  assert.equal(outOfRange.body.errors[0].code, 'out_of_range');
+
+  const repeated = await alice('POST', '/api/picks', picks(1, [[KC, 'home', 16], [PHI, 'home', 16]]));
+  assert.equal(repeated.status, 400);
+  assert.deepEqual(repeated.body.errors.map(e => e.code), ['duplicate_confidence', 'duplicate_confidence']);
+
+  const unknown = await alice('POST', '/api/picks', picks(1, [['nope', 'home', 16]]));
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.errors[0].code, 'unknown_game');
+});
+
+test('POST /api/picks saves a week and GET /api/picks returns it', async () => {
+  const saved = await alice('POST', '/api/picks', picks(1, [[KC, 'home', 16], [PHI, 'home', 15], [ATL, 'home', 14], [BUF, 'home', 13], [SF, 'home', 12]]));
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.body, { ok: true, errors: [], revision: 1 });
+  const bobSaved = await bob('POST', '/api/picks', picks(1, [[KC, 'away', 16], [PHI, 'home', 15], [ATL, 'away', 14], [BUF, 'away', 13], [SF, 'home', 12]]));
+  assert.equal(bobSaved.status, 200);
+
+  const res = await alice('GET', '/api/picks?season=2024&week=1&league=1');
+  assert.deepEqual(res.body, [
+    { gameId: KC, pick: 'home', confidence: 16, auto: false },
+    { gameId: PHI, pick: 'home', confidence: 15, auto: false },
+    { gameId: ATL, pick: 'home', confidence: 14, auto: false },
+    { gameId: BUF, pick: 'home', confidence: 13, auto: false },
+    { gameId: SF, pick: 'home', confidence: 12, auto: false },
+  ]);
+});
+
+test('a save based on an older revision gets a 409 with the current picks', async () => {
+  const loaded = await alice('GET', '/api/picks?season=2024&week=1&league=1');
+  assert.equal(loaded.headers.get('etag'), '"1"');
+
+  // Another device saves first...
+  const other = await alice('POST', '/api/picks', picks(1, [[KC, 'home', 16], [PHI, 'home', 15], [ATL, 'home', 14], [BUF, 'home', 13], [SF, 'away', 12]]), { 'If-Match': '"1"' });
+  assert.equal(other.status, 200);
+  assert.equal(other.body.revision, 2);
+
+  // ...so this one, still at revision 1, is refused and nothing is overwritten
+  const stale = await alice('POST', '/api/picks', picks(1, [[KC, 'away', 16]]), { 'If-Match': '"1"' });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.revision, 2);
+  assert.deepEqual(stale.body.picks.at(-1), { gameId: SF, pick: 'away', confidence: 12, auto: false });
+
+  const retried = await alice('POST', '/api/picks', picks(1, [[KC, 'home', 16], [PHI, 'home', 15], [ATL, 'home', 14], [BUF, 'home', 13], [SF, 'home', 12]]), { 'If-Match': '"2"' });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.headers.get('etag'), '"3"');
+  assert.equal((await alice('POST', '/api/picks', picks(1, []), { 'If-Match': 'soon' })).status, 400);
+});
+
+test('drafts are kept apart from submitted picks until they are saved', async () => {
+  assert.equal((await alice('GET', '/api/picks/draft?season=2024&week=1&league=1')).body, null);
+  const draft = { season: 2024, week: 1, league: 1, picks: [{ gameId: KC, pick: 'away', confidence: 16 }], tiebreaker: 40, revision: 3, updatedAt: '2024-09-05T12:30:00.000Z' };
+  assert.equal((await alice('PUT', '/api/picks/draft', draft)).status, 200);
+  assert.deepEqual((await alice('GET', '/api/picks/draft?season=2024&week=1&league=1')).body, {
+    picks: [{ gameId: KC, pick: 'away', confidence: 16 }], tiebreaker: 40, revision: 3, updatedAt: '2024-09-05T12:30:00.000Z',
+  });
+  assert.equal((await alice('PUT', '/api/picks/draft', { ...draft, picks: [{ gameId: KC, pick: 'over' }] })).status, 400);
+  // Other players and the submitted picks are untouched
+  assert.equal((await bob('GET', '/api/picks/draft?season=2024&week=1&league=1')).body, null);
+  assert.equal((await alice('GET', '/api/picks?season=2024&week=1&league=1')).body[0].pick, 'home');
+
+  // Submitting removes the draft
+  await alice('POST', '/api/picks', picks(1, [[KC, 'home', 16], [PHI, 'home', 15], [ATL, 'home', 14], [BUF, 'home', 13], [SF, 'home', 12]]), { 'If-Match': '"3"' });
+  assert.equal((await alice('GET', '/api/picks/draft?season=2024&week=1&league=1')).body, null);
+});
+
+test('survivor picks: one team a week, each team once', async () => {
+  const [week1, week2] = [(await alice('GET', '/api/games?season=2024&week=1')).body, (await alice('GET', '/api/games?season=2024&week=2')).body];
+  const team = (games, id, side) => games.find(g => g.id === id)[side].id;
+  const survivor = (client, week, teamId) => client('POST', '/api/survivor/picks', { league: 1, season: 2024, week, team: teamId });
+
+  assert.equal((await survivor(alice, 1, team(week1, KC, 'home'))).status, 200);
+  assert.equal((await survivor(bob, 1, team(week1, BUF, 'home'))).status, 200);
+  const reused = await survivor(bob, 2, team(week2, MIA, 'away'));
+  assert.equal(reused.status, 400);
+  assert.match(reused.body.error, /week 1/);
+  assert.equal((await survivor(alice, 2, team(week1, SF, 'home'))).status, 400); // not playing in week 2
+  assert.equal((await survivor(alice, 2, team(week2, MIA, 'away'))).status, 200);
+  assert.equal((await survivor(bob, 2, team(week2, MIA, 'home'))).status, 200);
+  assert.equal((await survivor(bob, 19, team(week1, ATL, 'home'))).status, 400);
+
+  // Before kickoff only your own picks are shown
+  const res = await bob('GET', '/api/survivor?league=1&season=2024');
+  assert.equal(res.status, 200);
+  const rows = Object.fromEntries(res.body.standings.map(r => [r.user, r]));
+  assert.deepEqual(rows.alice.picks, [{ week: 1, hidden: true }, { week: 2, hidden: true }]);
+  assert.deepEqual(rows.bob.picks.map(p => p.team.abbreviation), ['BUF', 'MIA']);
+});
+
+test('picks lock at kickoff and live scores are not results yet', async () => {
+  server.provider.setTime('2024-09-06T01:00Z');
+  const update = await alice('POST', '/api/update-results', { season: 2024, week: 1 });
+  assert.equal(update.status, 200);
+  assert.deepEqual(update.body.results, {});
+
+  const games = (await alice('GET', '/api/games?season=2024&week=1')).body;
+  assert.equal(games[0].state, 'in');
+  assert.equal(games[0].locked, true);
+  assert.equal(games[0].odds.lockSpread, -3);
+  assert.equal(games[1].locked, false);
+
+  // Changing the started game is refused; the rest of the save goes through
+  const res = await bob('POST', '/api/picks', picks(1, [[KC, 'home', 16], [PHI, 'away', 15], [ATL, 'away', 14], [BUF, 'away', 13], [SF, 'home', 12]]));
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.errors, [{ gameId: KC, error: 'Game has started; pick is locked' }]);
+  const stored = (await bob('GET', '/api/picks?season=2024&week=1&league=1')).body;
+  assert.deepEqual(stored.slice(0, 2).map(p => [p.gameId, p.pick]), [[KC, 'away'], [PHI, 'away']]);
+  // Put PHI back for the scoreboard tests
+  await bob('POST', '/api/picks', picks(1, [[KC, 'away', 16], [PHI, 'home', 15], [ATL, 'away', 14], [BUF, 'away', 13], [SF, 'home', 12]]));
+});
+
+test('POST /api/update-results decides winners from final scores', async () => {
+  server.provider.setTime('2024-09-11T00:00Z');
+  const res = await alice('POST', '/api/update-results', { season: 2024, week: 1 });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results, { [KC]: 'home', [PHI]: 'home', [ATL]: 'away', [BUF]: 'home', [SF]: 'home' });
+
+  const games = (await alice('GET', '/api/games?season=2024&week=1')).body;
+  assert.ok(games.every(g => g.phase === 'final'));
+  assert.deepEqual([games[0].away.score, games[0].home.score], [20, 27]);
+});
+
+test('POST /api/update-results requires season and week', async () => {
+  assert.equal((await alice('POST', '/api/update-results', { season: 2024 })).status, 400);
+});
+
+test('GET /api/scoreboard totals and ranks the week', async () => {
+  const res = await bob('GET', '/api/scoreboard?season=2024&week=1&league=1');
+  assert.equal(res.status, 200);
+  // alice misses ATL (14): 16 + 15 + 13 + 12; bob misses KC (16) and BUF (13): 15 + 14 + 12
+  assert.deepEqual(res.body.scores, { alice: 56, bob: 41 });
+  assert.deepEqual(res.body.standings.map(r => [r.user, r.rank, r.points, r.live, r.alive]), [
+    ['alice', 1, 56, 0, true],
+    ['bob', 2, 41, 0, false],
+  ]);
+  assert.equal(res.body.tiebreakerGameId, SF);
+});
+
+test('GET /api/scoreboard-season adds up every week', async () => {
+  await alice('GET', '/api/games?season=2024&week=2');
+  server.provider.setTime('2024-09-12T12:00Z');
+  await alice('POST', '/api/picks', picks(2, [[MIA, 'away', 16]]));
+  await bob('POST', '/api/picks', picks(2, [[MIA, 'home', 16]]));
+
+  server.provider.setTime('2024-09-18T00:00Z');
+  await alice('POST', '/api/update-results', { season: 2024, week: 2 });
+  const res = await alice('GET', '/api/scoreboard-season?season=2024&league=1');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.scores, { alice: 72, bob: 41 });
+});
+
+test('scoreboards follow the league rules', async () => {
+  const rules = { confidence: 'sixteen', tie: 'none', missPenalty: true };
+  assert.equal((await alice('PUT', '/api/leagues/1/rules', { season: 2024, rules })).status, 200);
+  const res = await alice('GET', '/api/scoreboard?season=2024&week=1&league=1');
+  // Misses now cost their confidence: alice 56 - 14, bob 41 - 16 - 13
+  assert.deepEqual(res.body.scores, { alice: 42, bob: 12 });
+});
+
+test('scoreboards are for signed-in players', async () => {
+  assert.equal((await server.client()('GET', '/api/scoreboard?season=2024&week=1')).status, 401);
+  assert.equal((await alice('GET', '/api/scoreboard?season=2024')).status, 400);
+});
+
+test('survivor standings follow the results', async () => {
+  // KC and then BUF won, so alice survives both weeks; bob's MIA lost in week 2
+  const res = await bob('GET', '/api/survivor?league=1&season=2024');
+  assert.deepEqual(res.body.standings.map(r => [r.user, r.alive, r.eliminatedWeek, r.picks.map(p => p.outcome)]), [
+    ['alice', true, null, ['win', 'win']],
+    ['bob', false, 2, ['win', 'loss']],
+  ]);
+  const late = await bob('POST', '/api/survivor/picks', { league: 1, season: 2024, week: 2, team: null });
+  assert.equal(late.status, 400);
+});
+
+test('POST /api/admin/backfill imports a season and the archive names its champion', async () => {
+  assert.equal((await bob('POST', '/api/admin/backfill', { season: 2024 })).status, 403);
+  assert.equal((await alice('POST', '/api/admin/backfill', { season: 2031 })).status, 400);
+
+  // Once the season is over it is complete in the archive
+  server.provider.setTime('2025-03-15T00:00Z');
+  const res = await alice('POST', '/api/admin/backfill', { season: 2024 });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.weeks, [{ week: 1, games: 5, final: 5 }, { week: 2, games: 3, final: 3 }]);
+  assert.deepEqual((await alice('GET', '/api/seasons')).body, [{ season: 2024, games: 8, weeks: 2 }]);
+
+  const archive = await bob('GET', '/api/archive?league=1');
+  assert.equal(archive.status, 200);
+  // With the miss penalty from the rules test: alice 42 + 16, bob 12 - 16
+  assert.deepEqual(archive.body.seasons, [{
+    season: 2024,
+    complete: true,
+    champions: ['alice'],
+    standings: [{ user: 'alice', points: 58, rank: 1 }, { user: 'bob', points: -4, rank: 2 }],
+  }]);
+});
+
+test('CSV import takes a blank season or week cell from the query and rejects bad ones', async () => {
+  const row = { season: '', week: '', user: 'bob', team: 'MIA', confidence: '16' };
+  const fromQuery = await alice('POST', '/api/leagues/1/import?dryRun=1&season=2024&week=2', { rows: [row] });
+  assert.equal(fromQuery.status, 200);
+  assert.deepEqual([fromQuery.body.ok, fromQuery.body.groups, fromQuery.body.errors], [true, 1, []]);
+
+  const missing = await alice('POST', '/api/leagues/1/import?dryRun=1', { rows: [row] });
+  assert.deepEqual(missing.body.errors.map(e => [e.row, e.message]), [[2, 'season, week, user, team and confidence are required']]);
+  const negative = await alice('POST', '/api/leagues/1/import?dryRun=1', { rows: [{ ...row, season: '-2024', week: '2' }] });
+  assert.deepEqual(negative.body.errors.map(e => e.message), ['season and week must be positive whole numbers']);
+});
+
+test('a failed notification channel is retried on its own, after a delay', async () => {
+  // Week 2's recap is due in the days after its last game
+  server.provider.setTime('2024-09-18T00:00Z');
+  server.hook.failing = true;
+  await server.scheduler.tick();
+  const recaps = () => server.notifications().filter(n => n.kind === 'recap');
+  assert.deepEqual(recaps().map(n => n.subject), ['Open League: Week 2 recap']);
+  assert.deepEqual(server.hook.posts.map(p => p.ok), [false]);
+
+  // Not before the retry delay...
+  await server.scheduler.tick();
+  assert.equal(server.hook.posts.length, 1);
+
+  // ...then only the webhook gets it again
+  server.hook.failing = false;
+  server.provider.setTime('2024-09-18T00:06Z');
+  await server.scheduler.tick();
+  assert.deepEqual(server.hook.posts.map(p => p.ok), [false, true]);
+  assert.match(server.hook.posts[1].body.text, /Week 2 recap/);
+  assert.equal(recaps().length, 1);
+
+  server.provider.setTime('2024-09-18T02:00Z');
+  await server.scheduler.tick();
+  assert.equal(server.hook.posts.length, 2);
+});
+
+test('CSV export of a week of picks imports back cleanly', async () => {
+  assert.equal((await bob('GET', '/api/leagues/1/export?season=2024&week=1&format=csv')).status, 403);
+  const res = await alice('GET', '/api/leagues/1/export?season=2024&week=1&format=csv');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  assert.match(res.headers.get('content-disposition'), /league-1-2024-week-1-picks\.csv/);
+  const lines = res.body.trim().split('\r\n');
+  assert.equal(lines[0], 'season,week,user,game_id,away,home,team,confidence,result,points');
+  assert.equal(lines.length, 11); // alice and bob, five games each
+  assert.ok(lines.includes(`2024,1,alice,${KC},BAL,KC,KC,16,correct,16`));
+
+  const imported = await alice('POST', '/api/leagues/1/import?dryRun=1', res.body);
+  assert.equal(imported.status, 200);
+  assert.deepEqual([imported.body.ok, imported.body.rows, imported.body.groups, imported.body.errors], [true, 10, 2, []]);
+});
+
+test('a canceled game is voided and the change shows in the admin audit log', async () => {
+  const DAL = '401671802'; // week 2: NO @ DAL
+  server.editFixture(2024, 2, (payload) => {
+    const event = payload.events.find(e => e.id === DAL);
+    for (const status of [event.status, event.competitions[0].status]) {
+      status.type = { ...status.type, name: 'STATUS_CANCELED', state: 'post', completed: false };
+    }
+  });
+  assert.equal((await alice('POST', '/api/update-results', { season: 2024, week: 2 })).status, 200);
+  const dal = (await alice('GET', '/api/games?season=2024&week=2')).body.find(g => g.id === DAL);
+  assert.deepEqual([dal.phase, dal.override], ['canceled', 'void']);
+
+  assert.equal((await bob('GET', '/api/admin/audit?season=2024&week=2')).status, 403);
+  const audit = (await alice('GET', '/api/admin/audit?season=2024&week=2')).body;
+  const canceled = audit.find(e => e.action === 'game.canceled');
+  assert.deepEqual([canceled.actor, canceled.event_id, canceled.after.action], ['system', DAL, 'void']);
+  // Newest first, with what each save changed
+  const saves = audit.filter(e => e.action === 'picks.save');
+  assert.deepEqual(saves.map(e => e.target_user), ['bob', 'alice']);
+  assert.deepEqual(saves[1].before.picks, []);
+  assert.deepEqual(saves[1].after.picks, [{ gameId: MIA, pick: 'away', confidence: 16 }]);
+});
+
+test('missed picks are filled in at lock in leagues with an autoPick rule', async () => {
+  const league = (await alice('POST', '/api/leagues', { name: 'Autos' })).body;
+  assert.equal((await bob('POST', '/api/leagues/join', { code: league.invite_code })).status, 200);
+  assert.equal((await alice('PUT', `/api/leagues/${league.id}/rules`, { season: 2024, rules: { autoPick: 'favorite' } })).status, 200);
+  const posts = server.hook.posts.length;
+
+  // Shortly after ATL @ PHI kicks off, the last game of week 2
+  server.provider.setTime('2024-09-17T01:00Z');
+  await server.scheduler.tick();
+  const favorite = (await alice('GET', '/api/games?season=2024&week=2')).body.find(g => g.id === PHI2).favorite;
+  // Both members get the favorite on the lowest value; games locked earlier are left alone
+  for (const client of [alice, bob]) {
+    const res = await client('GET', `/api/picks?season=2024&week=2&league=${league.id}`);
+    assert.deepEqual(res.body, [{ gameId: PHI2, pick: favorite, confidence: 14, auto: true }]);
+  }
+  const audit = (await alice('GET', `/api/admin/audit?league=${league.id}&season=2024&week=2`)).body;
+  assert.deepEqual(audit.filter(e => e.action === 'picks.auto').map(e => [e.actor, e.target_user]).sort(), [['system', 'alice'], ['system', 'bob']]);
+
+  // The league's recap goes to the file but not to the shared webhook
+  assert.ok(server.notifications().some(n => n.kind === 'recap' && n.league === league.id));
+  assert.equal(server.hook.posts.length, posts);
+});
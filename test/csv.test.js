@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, parseCsv } from '../lib/csv.js';
+
+test('toCsv keeps formula-like text as text but leaves numbers alone', () => {
+  const csv = toCsv(['user', 'points', 'note'], [
+    { user: '=HYPERLINK("http://x")', points: -3, note: '@SUM(A1)' },
+    { user: 'amy', points: 12, note: 'a, b' },
+  ]);
+  assert.equal(csv, 'user,points,note\r\n"\'=HYPERLINK(""http://x"")",-3,\'@SUM(A1)\r\namy,12,"a, b"\r\n');
+  assert.deepEqual(parseCsv(csv)[1], { user: 'amy', points: '12', note: 'a, b' });
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+const { ready, runInTransaction, addLeagueMember, listLeagueMembers } = await import('../db/index.js');
+const { importJsonDb } = await import('../db/import-json.js');
+await ready;
+
+test('writes made while a transaction is open survive its rollback', async () => {
+  const tx = runInTransaction(async () => {
+    await addLeagueMember(1, 'inside');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    throw new Error('rollback');
+  });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await addLeagueMember(1, 'outside');
+  await assert.rejects(tx, /rollback/);
+  assert.deepEqual((await listLeagueMembers(1)).map(m => m.user), ['outside']);
+});
+
+test('the db.json import skips players whose name would not pass signup', async () => {
+  const counts = await importJsonDb({ picks: { '2023-1': { carol: [], '<img src=x onerror=alert(1)>': [{ gameId: '1', pick: 'home', confidence: 1 }] } } });
+  assert.equal(counts.skipped, 1);
+  const members = (await listLeagueMembers(1)).map(m => m.user);
+  assert.ok(members.includes('carol'));
+  assert.ok(!members.some(u => u.includes('<')));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseScoreboard, weekFromScoreboard } from '../lib/providers/espn.js';
+
+const recorded = (name) => JSON.parse(fs.readFileSync(new URL(`../fixtures/espn/${name}.json`, import.meta.url), 'utf-8'));
+
+test('parseScoreboard maps a recorded ESPN week to the app game shape', () => {
+  const games = parseScoreboard(recorded('2024-1'));
+  assert.equal(games.length, 5);
+  assert.deepEqual(games[0], {
+    id: '401671789',
+    date: '2024-09-06T00:20Z',
+    status: 'STATUS_FINAL',
+    state: 'post',
+    favorite: 'home',
+    odds: { details: 'KC -3.0', spread: -3, overUnder: 46.5 },
+    home: { ...games[0].home, abbreviation: 'KC', score: 27 },
+    away: { ...games[0].away, abbreviation: 'BAL', score: 20 },
+  });
+  assert.ok(games.every(g => g.home.id && g.away.id && g.home.name && g.away.logo));
+});
+
+test('weekFromScoreboard reads the stored week number', () => {
+  assert.equal(weekFromScoreboard(recorded('2024-2')), 2);
+  assert.equal(weekFromScoreboard({ season: { type: 3 }, week: { number: 5 } }), 22);
+  assert.equal(weekFromScoreboard({ season: { type: 1 }, week: { number: 2 } }), null);
+});
+
+test('parseScoreboard tolerates missing pieces', () => {
+  assert.deepEqual(parseScoreboard({}), []);
+  const [game] = parseScoreboard({
+    events: [{
+      id: '1',
+      date: '2024-09-08T17:00Z',
+      competitions: [{
+        competitors: [
+          { homeAway: 'home', id: '10', team: { abbreviation: 'AAA', displayName: 'A Team', logos: [{ href: 'a.png' }] } },
+          { homeAway: 'away', id: '20', team: { abbreviation: 'BBB', name: 'B' } },
+        ],
+        odds: [{ details: 'BBB -2.5' }],
+      }],
+    }],
+  });
+  assert.equal(game.status, 'STATUS_SCHEDULED');
+  assert.equal(game.home.logo, 'a.png');
+  assert.equal(game.home.score, null);
+  // The favorite comes from `details` when the flags are missing; the spread is the home line
+  assert.equal(game.favorite, 'away');
+  assert.deepEqual(game.odds, { details: 'BBB -2.5', spread: 2.5, overUnder: null });
+});
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// Shared setup for the API tests: a throwaway in-memory database and the fixture provider
+// replaying the recorded ESPN payloads in fixtures/espn. The environment has to be set
+// before the app is first imported, so the app is loaded with a dynamic import.
+// The payloads are replayed from a temporary copy, which tests may edit (editFixture).
+// Notifications go to a temporary file and to a stand-in chat webhook.
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'picks-test-'));
+const fixtureDir = path.join(tmpDir, 'espn');
+fs.cpSync(new URL('../fixtures/espn', import.meta.url), fixtureDir, { recursive: true });
+process.env.DB_PATH = ':memory:';
+process.env.GAME_PROVIDER = 'fixture';
+process.env.FIXTURE_DIR = fixtureDir;
+process.env.FIXTURE_START_TIME = '2024-09-05T12:00Z';
+process.env.NOTIFY_CHANNELS = 'file,webhook';
+process.env.NOTIFY_FILE = path.join(tmpDir, 'notifications.jsonl');
+
+// Start the app on a free port. Returns { provider, scheduler, client(), editFixture(),
+// notifications(), hook, close() }: notifications() reads the file channel's messages, and
+// hook records each webhook post ({ body, ok }) and answers 500 while hook.failing is set.
+export async function startApp() {
+  const hook = { posts: [], failing: false };
+  const hookServer = await new Promise((resolve) => {
+    const s = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        hook.posts.push({ body: JSON.parse(body), ok: !hook.failing });
+        res.statusCode = hook.failing ? 500 : 200;
+        res.end();
+      });
+    }).listen(0, '127.0.0.1', () => resolve(s));
+  });
+  process.env.NOTIFY_WEBHOOK_URL = `http://127.0.0.1:${hookServer.address().port}/`;
+
+  const { ready } = await import('../db/index.js');
+  const { app, provider, scheduler } = await import('../app.js');
+  await ready;
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // A client keeps its own session cookie, so several players can be signed in at once.
+  // A string body is sent as CSV, anything else as JSON. Requests resolve to
+  // { status, headers, body }.
+  function client() {
+    let cookie = '';
+    return async function request(method, url, body, extraHeaders = {}) {
+      const headers = { ...extraHeaders };
+      if (cookie) headers.Cookie = cookie;
+      const csv = typeof body === 'string';
+      if (body !== undefined) headers['Content-Type'] = csv ? 'text/csv' : 'application/json';
+      const res = await fetch(base + url, { method, headers, body: body === undefined || csv ? body : JSON.stringify(body) });
+      const setCookie = res.headers.get('set-cookie');
+      if (setCookie) cookie = setCookie.split(';')[0];
+      const text = await res.text();
+      let data = text;
+      try { data = JSON.parse(text); } catch {}
+      return { status: res.status, headers: res.headers, body: data };
+    };
+  }
+
+  // Rewrite a recorded week: edit(payload) changes the parsed ESPN scoreboard in place
+  function editFixture(season, week, edit) {
+    const file = path.join(fixtureDir, `${season}-${week}.json`);
+    const payload = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    edit(payload);
+    fs.writeFileSync(file, JSON.stringify(payload));
+  }
+
+  function notifications() {
+    if (!fs.existsSync(process.env.NOTIFY_FILE)) return [];
+    return fs.readFileSync(process.env.NOTIFY_FILE, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  }
+
+  return {
+    provider,
+    scheduler,
+    client,
+    editFixture,
+    notifications,
+    hook,
+    async close() {
+      server.closeAllConnections();
+      hookServer.closeAllConnections();
+      await Promise.all([server, hookServer].map(s => new Promise(resolve => s.close(resolve))));
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  confidenceRangeForCount, validatePicks, buildOptions, rankingFromPicks, rankingValues, picksFromRanking,
+  diffPicks, newerDraft, conflictSaved,
+} from '../public/picks.js';
+
+test('confidenceRangeForCount follows the league confidence rule', () => {
+  assert.deepEqual(confidenceRangeForCount(null, 3), [16, 15, 14]);
+  assert.deepEqual(confidenceRangeForCount({ confidence: 'sixteen' }, 16), Array.from({ length: 16 }, (_, i) => 16 - i));
+  assert.deepEqual(confidenceRangeForCount({ confidence: 'games' }, 4), [4, 3, 2, 1]);
+  // More games than values: the range stops at 1
+  assert.equal(confidenceRangeForCount(null, 20).at(-1), 1);
+});
+
+test('validatePicks returns the first problem, or null', () => {
+  const games = [{ id: '1' }, { id: '2' }];
+  const range = [16, 15];
+  assert.equal(validatePicks([{ gameId: '1', pick: 'home', confidence: 16 }], games, range), null);
+  assert.equal(validatePicks([], games, range), null);
+  assert.equal(
+    validatePicks([{ gameId: '1', pick: 'home', confidence: 16 }, { gameId: '2', pick: 'away', confidence: 16 }], games, range),
+    'Each confidence value must appear only once.'
+  );
+  assert.equal(validatePicks([{ gameId: '1', pick: 'home', confidence: 3 }], games, range), 'Confidence must be between 15 and 16.');
+  assert.equal(validatePicks([{ gameId: '9', pick: 'home', confidence: 16 }], games, range), 'Game is not part of this week.');
+  assert.equal(validatePicks([], games, range, { dualEntry: true }), 'Choose only one team per game.');
+});
+
+// Just enough of a <select> for buildOptions
+function fakeSelect(values = [], value = '') {
+  const select = {
+    value,
+    options: values.map(v => ({ value: v })),
+    set innerHTML(_) { this.options = []; },
+    appendChild(option) { this.options.push(option); },
+    ownerDocument: { createElement: () => ({}) },
+  };
+  return select;
+}
+
+test('buildOptions offers the unused values and keeps the current one', () => {
+  const select = fakeSelect([], '15');
+  buildOptions(select, new Set([16, 15]), [16, 15, 14]);
+  assert.deepEqual(select.options.map(o => o.value), ['', '15', '14']);
+  assert.deepEqual(select.options.map(o => o.textContent), ['—', '15', '14']);
+  assert.equal(select.value, '15');
+});
+
+test('buildOptions leaves unchanged options alone', () => {
+  const select = fakeSelect(['', '16', '14'], '');
+  const before = select.options;
+  buildOptions(select, new Set([15]), [16, 15, 14]);
+  assert.equal(select.options, before);
+});
+
+test('rankingFromPicks puts picked games first, highest confidence on top', () => {
+  const picks = [{ gameId: 'b', pick: 'away', confidence: 14 }, { gameId: 'd', pick: 'home', confidence: 16 }];
+  assert.deepEqual(rankingFromPicks(['a', 'b', 'c', 'd'], picks), {
+    order: ['d', 'b', 'a', 'c'],
+    sides: { d: 'home', b: 'away' },
+  });
+});
+
+test('ranking values skip those held by locked games and map back to picks', () => {
+  const values = rankingValues([16, 15, 14, 13], [15]);
+  assert.deepEqual(values, [16, 14, 13]);
+  assert.deepEqual(picksFromRanking(['x', 'y', 'z'], { x: 'home', z: 'away' }, values), [
+    { gameId: 'x', pick: 'home', confidence: 16 },
+    { gameId: 'z', pick: 'away', confidence: 13 },
+  ]);
+  // Round trip through the pick format
+  const { order, sides } = rankingFromPicks(['x', 'y', 'z'], picksFromRanking(['z', 'x', 'y'], { x: 'home', z: 'away' }, values));
+  assert.deepEqual(order, ['z', 'x', 'y']);
+  assert.deepEqual(sides, { z: 'away', x: 'home' });
+});
+
+test('diffPicks lists the games picked differently or only on one side', () => {
+  const mine = [{ gameId: 'a', pick: 'home', confidence: 16 }, { gameId: 'b', pick: 'away', confidence: 15 }];
+  const theirs = [{ gameId: 'a', pick: 'home', confidence: '16' }, { gameId: 'b', pick: 'away', confidence: 14 }, { gameId: 'c', pick: 'home', confidence: 15 }];
+  assert.deepEqual(diffPicks(mine, theirs), [
+    { gameId: 'b', mine: mine[1], theirs: theirs[1] },
+    { gameId: 'c', mine: null, theirs: theirs[2] },
+  ]);
+  assert.deepEqual(diffPicks(mine, [...mine].reverse()), []);
+});
+
+test('conflictSaved reads the saved picks from a 409, or null from the plain fallback', () => {
+  const picks = [{ gameId: 'a', pick: 'home', confidence: 16, auto: false }];
+  assert.deepEqual(conflictSaved({ error: 'Picks have changed', picks, tiebreaker: 41, revision: 2 }), { picks, tiebreaker: 41, revision: 2 });
+  assert.deepEqual(conflictSaved({ picks: [], revision: 0 }), { picks: [], tiebreaker: null, revision: 0 });
+  assert.equal(conflictSaved({ error: 'Picks have changed since they were loaded' }), null);
+  assert.equal(conflictSaved({ picks }), null);
+});
+
+test('newerDraft keeps the most recently updated copy', () => {
+  const local = { updatedAt: '2024-09-05T12:30:00.000Z' };
+  const remote = { updatedAt: '2024-09-05T12:31:00.000Z' };
+  assert.equal(newerDraft(local, remote), remote);
+  assert.equal(newerDraft(local, null), local);
+  assert.equal(newerDraft(null, null), null);
+});
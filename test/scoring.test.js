@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeRules, pickOutcome, scoreWeek, rankWeek, projectWeek } from '../lib/scoring.js';
+
+const game = (id, status, home, away, extra = {}) => ({
+  id,
+  status,
+  state: status === 'STATUS_FINAL' ? 'post' : 'pre',
+  override: null,
+  home: { score: home },
+  away: { score: away },
+  ...extra,
+});
+
+const games = [
+  game('a', 'STATUS_FINAL', 24, 17),
+  game('b', 'STATUS_FINAL', 20, 20),
+  game('c', 'STATUS_FINAL', 10, 13),
+];
+const results = { a: 'home', c: 'away' };
+const picks = [
+  { user: 'amy', event_id: 'a', side: 'home', confidence: 16 },
+  { user: 'amy', event_id: 'b', side: 'home', confidence: 15 },
+  { user: 'amy', event_id: 'c', side: 'home', confidence: 14 },
+  { user: 'ben', event_id: 'a', side: 'away', confidence: 14 },
+  { user: 'ben', event_id: 'b', side: 'away', confidence: 16 },
+  { user: 'ben', event_id: 'c', side: 'away', confidence: 15 },
+];
+
+test('pickOutcome covers wins, ties, voids and pending games', () => {
+  assert.equal(pickOutcome('home', games[0], results), 'correct');
+  assert.equal(pickOutcome('away', games[0], results), 'incorrect');
+  assert.equal(pickOutcome('home', games[1], results), 'tie');
+  assert.equal(pickOutcome('home', game('d', 'STATUS_SCHEDULED', null, null), results), 'pending');
+  assert.equal(pickOutcome('home', { ...games[0], override: 'void' }, results), 'void');
+});
+
+test('scoreWeek applies the tie and miss rules', () => {
+  assert.deepEqual(scoreWeek(normalizeRules(), 1, games, results, picks), { amy: 16, ben: 15 });
+  assert.deepEqual(scoreWeek(normalizeRules({ tie: 'half' }), 1, games, results, picks), { amy: 23.5, ben: 23 });
+  assert.deepEqual(scoreWeek(normalizeRules({ missPenalty: true }), 1, games, results, picks), { amy: 2, ben: 1 });
+});
+
+test('scoreWeek adds the perfect week bonus and the playoff multiplier', () => {
+  const perfect = [
+    { user: 'amy', event_id: 'a', side: 'home', confidence: 16 },
+    { user: 'amy', event_id: 'c', side: 'away', confidence: 15 },
+  ];
+  const week = [games[0], games[2]];
+  assert.deepEqual(scoreWeek(normalizeRules({ perfectWeekBonus: 5 }), 1, week, results, perfect), { amy: 36 });
+  assert.deepEqual(scoreWeek(normalizeRules({ playoffMultiplier: 2 }), 19, week, results, perfect), { amy: 62 });
+});
+
+test('rankWeek breaks level scores on the tiebreaker and shares exact ties', () => {
+  const rows = rankWeek({ amy: 20, ben: 20, cat: 20, dan: 10 }, { amy: 40, ben: 50, cat: 50 }, 48);
+  assert.deepEqual(rows.map(r => [r.user, r.rank]), [['ben', 1], ['cat', 1], ['amy', 3], ['dan', 4]]);
+  assert.equal(rows[0].tiebreaker.delta, 2);
+});
+
+test('projectWeek reports points at stake and who can still win', () => {
+  const open = [games[0], game('d', 'STATUS_SCHEDULED', null, null)];
+  const live = [
+    { user: 'amy', event_id: 'a', side: 'home', confidence: 16 },
+    { user: 'amy', event_id: 'd', side: 'home', confidence: 15 },
+    { user: 'ben', event_id: 'a', side: 'away', confidence: 16 },
+    { user: 'ben', event_id: 'd', side: 'away', confidence: 15 },
+  ];
+  const p = projectWeek(normalizeRules(), 1, open, results, live);
+  assert.deepEqual(p.amy, { earned: 16, live: 15, maxPossible: 31, alive: true });
+  assert.deepEqual(p.ben, { earned: 0, live: 15, maxPossible: 15, alive: false });
+});
+
+test('normalizeRules rejects invalid values', () => {
+  assert.throws(() => normalizeRules({ tie: 'some' }), { status: 400 });
+  assert.throws(() => normalizeRules({ playoffMultiplier: 0 }), { status: 400 });
+});
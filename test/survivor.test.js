@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { survivorOutcome, survivorStandings } from '../lib/survivor.js';
+
+const game = (id, week, status, extra = {}) => ({
+  id,
+  week,
+  status,
+  state: status === 'STATUS_FINAL' ? 'post' : 'pre',
+  override: null,
+  ...extra,
+});
+
+const games = [
+  game('w1', 1, 'STATUS_FINAL'),
+  game('t1', 1, 'STATUS_FINAL'),
+  game('w2', 2, 'STATUS_FINAL'),
+  game('v2', 2, 'STATUS_FINAL', { override: 'void' }),
+  game('p3', 3, 'STATUS_SCHEDULED'),
+];
+const results = { w1: 'home', w2: 'away' };
+const pick = (user, week, event_id, side, team_id = `${event_id}-${side}`) => ({ user, week, event_id, side, team_id });
+
+test('survivorOutcome: ties lose, voided games survive', () => {
+  assert.equal(survivorOutcome({ side: 'home' }, games[0], results), 'win');
+  assert.equal(survivorOutcome({ side: 'away' }, games[0], results), 'loss');
+  assert.equal(survivorOutcome({ side: 'home' }, games[1], results), 'loss');
+  assert.equal(survivorOutcome({ side: 'home' }, games[3], results), 'win');
+  assert.equal(survivorOutcome({ side: 'home' }, games[4], results), 'pending');
+});
+
+test('survivorStandings eliminates on a loss or a missed week and ranks by survival', () => {
+  const picks = [
+    pick('amy', 1, 'w1', 'home'), pick('amy', 2, 'w2', 'away'), pick('amy', 3, 'p3', 'home'),
+    pick('ben', 1, 'w1', 'home'), pick('ben', 2, 'w2', 'home'),
+    pick('cal', 1, 't1', 'away'),
+    pick('dee', 1, 'w1', 'home'), // no pick in week 2
+    pick('eve', 2, 'v2', 'home'), // joins in week 2
+  ];
+  const rows = survivorStandings({ games, results, picks, closedWeeks: [1, 2] });
+  assert.deepEqual(rows.map(r => [r.user, r.alive, r.eliminatedWeek, r.reason, r.weeksSurvived]), [
+    ['amy', true, null, null, 2],
+    ['eve', true, null, null, 1],
+    ['ben', false, 2, 'loss', 1],
+    ['dee', false, 2, 'missed', 1],
+    ['cal', false, 1, 'loss', 0],
+  ]);
+  assert.deepEqual(rows[0].picks.map(p => [p.week, p.outcome]), [[1, 'win'], [2, 'win'], [3, 'pending']]);
+});